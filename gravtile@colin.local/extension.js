@@ -12,6 +12,7 @@ import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
 
 import { TileManager } from './src/core/TileManager.js';
+import { SettingsService } from './src/services/SettingsService.js';
 import { Logger } from './src/utils/Logger.js';
 
 export default class GravTileExtension extends Extension {
@@ -21,12 +22,16 @@ export default class GravTileExtension extends Extension {
     /** @type {Logger} */
     _logger = null;
 
+    /** @type {SettingsService|null} */
+    _settings = null;
+
     enable() {
-        this._logger = new Logger('GravTile');
+        this._settings = new SettingsService(this.getSettings());
+        this._logger = new Logger('GravTile', this._settings);
         this._logger.info('Extension enabling...');
         
         try {
-            this._tileManager = new TileManager(this._logger);
+            this._tileManager = new TileManager(this._logger, this._settings);
             this._tileManager.enable();
             
             this._logger.info('Extension enabled successfully');
@@ -48,5 +53,8 @@ export default class GravTileExtension extends Extension {
         }
         
         this._logger = null;
+
+        this._settings?.destroy();
+        this._settings = null;
     }
 }
@@ -0,0 +1,681 @@
+/**
+ * GravTile - Preferences window
+ *
+ * @description Adw preferences UI for the extension's GSettings.
+ * Runs in the separate gnome-extensions-app process, so it must not
+ * import anything from the shell (src/ modules included).
+ */
+
+import Adw from 'gi://Adw';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
+import Gtk from 'gi://Gtk';
+
+import { ExtensionPreferences } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+/** @type {Array<[string|undefined, string]>} Zones a rule can tile into, as [value, label] pairs */
+const RULE_ZONES = [
+    [undefined, 'None'],
+    ['left', 'Left half'],
+    ['right', 'Right half'],
+    ['maximize', 'Maximized'],
+    ['top-half', 'Top half'],
+    ['bottom-half', 'Bottom half'],
+    ['left-top', 'Top left quarter'],
+    ['right-top', 'Top right quarter'],
+    ['left-bottom', 'Bottom left quarter'],
+    ['right-bottom', 'Bottom right quarter'],
+    ['left-third', 'Left third'],
+    ['center-third', 'Center third'],
+    ['right-third', 'Right third'],
+    ['left-two-thirds', 'Left two thirds'],
+    ['right-two-thirds', 'Right two thirds'],
+];
+
+/** @type {Array<[boolean|undefined, string]>} */
+const ANY_YES_NO = [[undefined, 'Any'], [true, 'Yes'], [false, 'No']];
+
+export default class GravTilePreferences extends ExtensionPreferences {
+    /**
+     * @param {Adw.PreferencesWindow} window
+     */
+    fillPreferencesWindow(window) {
+        const settings = this.getSettings();
+
+        const page = new Adw.PreferencesPage({
+            title: 'General',
+            icon_name: 'preferences-system-symbolic',
+        });
+
+        page.add(this._createLayoutGroup(settings));
+        page.add(this._createGapsGroup(settings));
+        page.add(this._createSizesGroup(settings));
+        page.add(this._createDetectionGroup(settings));
+        page.add(this._createAutoTileGroup(settings));
+        page.add(this._createWindowRulesGroup(settings));
+        page.add(this._createFloatingAppsGroup(settings));
+        page.add(this._createSnapshotsGroup(settings));
+        page.add(this._createDebugGroup(settings));
+
+        window.add(page);
+
+        // Keep settings alive as long as the window
+        window._settings = settings;
+    }
+
+    /**
+     * @param {Gio.Settings} settings
+     * @returns {Adw.PreferencesGroup}
+     * @private
+     */
+    _createLayoutGroup(settings) {
+        const group = new Adw.PreferencesGroup({ title: 'Layout' });
+
+        group.add(this._createComboRow(settings, 'layout-mode',
+            'Layout mode', [
+                ['bsp', 'Free splits'],
+                ['master-stack', 'Master and stack'],
+                ['centered-master', 'Centered master'],
+            ]));
+
+        const ultrawideRow = new Adw.SwitchRow({
+            title: 'Centered master on ultrawide monitors',
+            subtitle: 'Monitors wider than 2:1 put the master in the center third',
+        });
+        settings.bind('ultrawide-centered-master', ultrawideRow, 'active',
+            Gio.SettingsBindFlags.DEFAULT);
+        group.add(ultrawideRow);
+
+        const ratioRow = this._createSpinRow(settings, 'master-ratio',
+            'Master ratio', 'Share of the width taken by the master column', 0.1, 0.9, 0.05);
+        ratioRow.set_digits(2);
+        group.add(ratioRow);
+
+        group.add(this._createSpinRow(settings, 'master-count',
+            'Number of masters', 'Windows sharing the master column', 1, 5));
+
+        return group;
+    }
+
+    /**
+     * @param {Gio.Settings} settings
+     * @returns {Adw.PreferencesGroup}
+     * @private
+     */
+    _createGapsGroup(settings) {
+        const group = new Adw.PreferencesGroup({ title: 'Gaps' });
+
+        group.add(this._createSpinRow(settings, 'inner-gap',
+            'Inner gap', 'Pixels between neighbouring windows', 0, 100));
+        group.add(this._createSpinRow(settings, 'outer-gap',
+            'Outer gap', 'Pixels between windows and screen edges', 0, 100));
+
+        return group;
+    }
+
+    /**
+     * @param {Gio.Settings} settings
+     * @returns {Adw.PreferencesGroup}
+     * @private
+     */
+    _createSizesGroup(settings) {
+        const group = new Adw.PreferencesGroup({
+            title: 'Window Sizes',
+            description: 'Limits used when neighbours shrink to make room',
+        });
+
+        group.add(this._createSpinRow(settings, 'min-window-width',
+            'Minimum width', null, 50, 2000, 10));
+        group.add(this._createSpinRow(settings, 'min-window-height',
+            'Minimum height', null, 50, 2000, 10));
+        group.add(this._createSpinRow(settings, 'resize-step',
+            'Keyboard resize step', 'Pixels an edge moves per grow or shrink shortcut', 10, 500, 10));
+
+        return group;
+    }
+
+    /**
+     * @param {Gio.Settings} settings
+     * @returns {Adw.PreferencesGroup}
+     * @private
+     */
+    _createDetectionGroup(settings) {
+        const group = new Adw.PreferencesGroup({ title: 'Detection' });
+
+        group.add(this._createSpinRow(settings, 'snap-threshold',
+            'Snap threshold', 'Distance from a screen edge that triggers snapping', 5, 300));
+        group.add(this._createComboRow(settings, 'snap-top-edge',
+            'Top edge', [
+                ['maximize', 'Maximize'],
+                ['top-half', 'Top half'],
+                ['dwell', 'Top half, maximize after a pause'],
+                ['segmented', 'Maximize in the middle, top half at the sides'],
+            ]));
+
+        const dwellRow = this._createSpinRow(settings, 'snap-dwell-time',
+            'Pause before maximizing', 'Milliseconds the pointer rests on the top edge', 100, 3000, 100);
+        const syncDwell = () => dwellRow.set_sensitive(settings.get_string('snap-top-edge') === 'dwell');
+        const dwellChangedId = settings.connect('changed::snap-top-edge', syncDwell);
+        dwellRow.connect('destroy', () => settings.disconnect(dwellChangedId));
+        syncDwell();
+        group.add(dwellRow);
+
+        group.add(this._createComboRow(settings, 'snap-thirds',
+            'Thirds snap zones', [
+                ['ultrawide', 'On ultrawide monitors'],
+                ['always', 'On all monitors'],
+                ['never', 'Never'],
+            ]));
+        group.add(this._createSpinRow(settings, 'edge-tolerance',
+            'Edge tolerance', 'Maximum distance between edges of neighbouring windows', 0, 100));
+        group.add(this._createSpinRow(settings, 'neighbor-overlap-min',
+            'Minimum neighbour overlap', 'Shared edge length needed to count as neighbours', 0, 1000, 10));
+
+        return group;
+    }
+
+    /**
+     * @param {Gio.Settings} settings
+     * @returns {Adw.PreferencesGroup}
+     * @private
+     */
+    _createAutoTileGroup(settings) {
+        const group = new Adw.PreferencesGroup({ title: 'Auto-Tiling' });
+
+        const enableRow = new Adw.SwitchRow({
+            title: 'Tile new windows',
+            subtitle: 'Insert newly opened windows into the layout of their monitor',
+        });
+        settings.bind('auto-tile', enableRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        group.add(enableRow);
+
+        const placementRow = this._createComboRow(settings, 'auto-tile-placement',
+            'Placement', [
+                ['append', 'Append at the right'],
+                ['next-to-focused', 'Next to the focused window'],
+                ['largest', 'Split the largest window'],
+            ]);
+        enableRow.bind_property('active', placementRow, 'sensitive',
+            GObject.BindingFlags.SYNC_CREATE);
+        group.add(placementRow);
+
+        const tileOnEnableRow = new Adw.SwitchRow({
+            title: 'Tile existing windows on startup',
+            subtitle: 'Lay out all windows of the active workspace when the extension is enabled',
+        });
+        settings.bind('tile-on-enable', tileOnEnableRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        group.add(tileOnEnableRow);
+
+        return group;
+    }
+
+    /**
+     * Group editing the window-rules JSON, one expandable row per rule
+     * @param {Gio.Settings} settings
+     * @returns {Adw.PreferencesGroup}
+     * @private
+     */
+    _createWindowRulesGroup(settings) {
+        const addButton = new Gtk.Button({
+            icon_name: 'list-add-symbolic',
+            valign: Gtk.Align.CENTER,
+            tooltip_text: 'Add rule',
+        });
+        addButton.add_css_class('flat');
+
+        const group = new Adw.PreferencesGroup({
+            title: 'Window Rules',
+            description: 'Applied to new windows and when a title changes. ' +
+                'Actions of all matching rules apply, later rules overriding earlier ones',
+            header_suffix: addButton,
+        });
+
+        /** @type {Array<{name?: string, match: Object, actions: Object}>} */
+        let rules = [];
+        /** @type {Adw.ExpanderRow[]} */
+        let ruleRows = [];
+        // Edits write the rules back; rebuilding then would take the focus
+        // away from the row being edited
+        let writing = false;
+
+        const save = () => {
+            writing = true;
+            settings.set_string('window-rules', JSON.stringify(rules));
+            writing = false;
+        };
+
+        const rebuild = () => {
+            for (const row of ruleRows) {
+                group.remove(row);
+            }
+
+            try {
+                const parsed = JSON.parse(settings.get_string('window-rules'));
+                rules = Array.isArray(parsed) ? parsed : [];
+            } catch (e) {
+                rules = [];
+            }
+
+            ruleRows = rules.map(rule => {
+                rule.match ??= {};
+                rule.actions ??= {};
+
+                const row = this._createRuleRow(rule, save, () => {
+                    rules = rules.filter(other => other !== rule);
+                    save();
+                    rebuild();
+                });
+                group.add(row);
+                return row;
+            });
+        };
+
+        addButton.connect('clicked', () => {
+            rules.push({ name: 'New rule', match: {}, actions: {} });
+            save();
+            rebuild();
+            ruleRows[ruleRows.length - 1].set_expanded(true);
+        });
+
+        const changedId = settings.connect('changed::window-rules', () => {
+            if (!writing) rebuild();
+        });
+        group.connect('destroy', () => settings.disconnect(changedId));
+        rebuild();
+
+        return group;
+    }
+
+    /**
+     * Expandable row editing one window rule in place
+     * @param {{name?: string, match: Object, actions: Object}} rule
+     * @param {function(): void} save - Writes all rules back
+     * @param {function(): void} remove - Deletes the rule
+     * @returns {Adw.ExpanderRow}
+     * @private
+     */
+    _createRuleRow(rule, save, remove) {
+        const row = new Adw.ExpanderRow({ title: rule.name || 'Unnamed rule' });
+
+        // Unset values are left out, so they match any window or keep the default
+        const set = (target, field, value) => {
+            if (value === undefined) {
+                delete target[field];
+            } else {
+                target[field] = value;
+            }
+            save();
+        };
+
+        // Text is saved when applied, not while it is typed, so half-typed
+        // values (e.g. a title pattern) never match windows
+        const addEntry = (title, value, onChange) => {
+            const entry = new Adw.EntryRow({
+                title,
+                text: value ?? '',
+                show_apply_button: true,
+            });
+            entry.connect('apply', () => onChange(entry.get_text().trim() || undefined));
+            row.add_row(entry);
+        };
+
+        const addChoice = (title, choices, value, onChange) => {
+            const combo = new Adw.ComboRow({
+                title,
+                model: Gtk.StringList.new(choices.map(([, label]) => label)),
+            });
+            combo.set_selected(Math.max(choices.findIndex(([choice]) => choice === value), 0));
+            combo.connect('notify::selected', () => onChange(choices[combo.get_selected()][0]));
+            row.add_row(combo);
+        };
+
+        const addSpin = (title, subtitle, min, max, value, onChange) => {
+            const spin = new Adw.SpinRow({
+                title,
+                subtitle,
+                adjustment: new Gtk.Adjustment({
+                    lower: min,
+                    upper: max,
+                    step_increment: 1,
+                    page_increment: 10,
+                    value,
+                }),
+            });
+            spin.connect('notify::value', () => onChange(spin.get_value()));
+            row.add_row(spin);
+        };
+
+        addEntry('Name', rule.name, name => {
+            row.set_title(name ?? 'Unnamed rule');
+            set(rule, 'name', name);
+        });
+
+        // Conditions
+        addEntry('WM_CLASS (exact, any case)', rule.match.wmClass,
+            value => set(rule.match, 'wmClass', value));
+        addEntry('App ID (e.g. org.gnome.Nautilus.desktop)', rule.match.appId,
+            value => set(rule.match, 'appId', value));
+        addEntry('Title (regular expression)', rule.match.title,
+            value => set(rule.match, 'title', value));
+        addChoice('Window type', [
+            [undefined, 'Any'],
+            ['normal', 'Normal'],
+            ['dialog', 'Dialog'],
+            ['modal-dialog', 'Modal dialog'],
+            ['utility', 'Utility'],
+        ], rule.match.windowType, value => set(rule.match, 'windowType', value));
+        addChoice('Transient for another window', ANY_YES_NO, rule.match.transient,
+            value => set(rule.match, 'transient', value));
+        addChoice('Resizable', ANY_YES_NO, rule.match.resizable,
+            value => set(rule.match, 'resizable', value));
+
+        // Actions
+        addChoice('Tiling', [
+            [undefined, 'Default'],
+            ['float', 'Always float'],
+            ['tile', 'Always tile'],
+        ], rule.actions.tiling, value => set(rule.actions, 'tiling', value));
+        addChoice('Tile into zone', RULE_ZONES, rule.actions.zone,
+            value => set(rule.actions, 'zone', value));
+        addSpin('Monitor', 'Open on this monitor (-1 for any)', -1, 15,
+            rule.actions.monitor ?? -1, value => set(rule.actions, 'monitor', value >= 0 ? value : undefined));
+        addSpin('Workspace', 'Open on this workspace, counted from 0 (-1 for any)', -1, 35,
+            rule.actions.workspace ?? -1, value => set(rule.actions, 'workspace', value >= 0 ? value : undefined));
+        addSpin('Fixed width (%)', 'Share of the tiling area width (0 for none)', 0, 95,
+            Math.round((rule.actions.widthRatio ?? 0) * 100),
+            value => set(rule.actions, 'widthRatio', value > 0 ? value / 100 : undefined));
+
+        const lockRow = new Adw.SwitchRow({
+            title: 'Never resize as neighbor',
+            subtitle: 'Keep the size when an adjacent window is resized',
+            active: rule.actions.neverResizeAsNeighbor === true,
+        });
+        lockRow.connect('notify::active', () =>
+            set(rule.actions, 'neverResizeAsNeighbor', lockRow.get_active() || undefined));
+        row.add_row(lockRow);
+
+        const removeButton = new Gtk.Button({
+            icon_name: 'user-trash-symbolic',
+            valign: Gtk.Align.CENTER,
+            tooltip_text: 'Delete rule',
+        });
+        removeButton.add_css_class('flat');
+        removeButton.connect('clicked', remove);
+        row.add_suffix(removeButton);
+
+        return row;
+    }
+
+    /**
+     * @param {Gio.Settings} settings
+     * @returns {Adw.PreferencesGroup}
+     * @private
+     */
+    _createFloatingAppsGroup(settings) {
+        const rememberRow = new Adw.SwitchRow({
+            title: 'Remember floating windows',
+            subtitle: 'Floating a window makes new windows of the app float too, until one is tiled',
+        });
+        settings.bind('remember-floating', rememberRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+
+        return this._createAppListGroup(settings, 'floating-apps', 'Floating Applications',
+            'New windows of these apps (by WM_CLASS) are not auto-tiled', [rememberRow]);
+    }
+
+    /**
+     * Group editing a list of WM_CLASS values
+     * @param {Gio.Settings} settings
+     * @param {string} key - Key of type 'as'
+     * @param {string} title
+     * @param {string} description
+     * @param {Gtk.Widget[]} [headerRows=[]] - Rows shown above the list
+     * @returns {Adw.PreferencesGroup}
+     * @private
+     */
+    _createAppListGroup(settings, key, title, description, headerRows = []) {
+        const group = new Adw.PreferencesGroup({ title, description });
+        for (const row of headerRows) {
+            group.add(row);
+        }
+
+        const addRow = new Adw.EntryRow({
+            title: 'Add WM_CLASS',
+            show_apply_button: true,
+        });
+        addRow.connect('apply', () => {
+            const wmClass = addRow.get_text().trim();
+            const apps = settings.get_strv(key);
+
+            if (wmClass && !apps.includes(wmClass)) {
+                settings.set_strv(key, [...apps, wmClass]);
+            }
+            addRow.set_text('');
+        });
+        group.add(addRow);
+
+        /** @type {Adw.ActionRow[]} */
+        let appRows = [];
+
+        const rebuild = () => {
+            for (const row of appRows) {
+                group.remove(row);
+            }
+
+            appRows = settings.get_strv(key).map(wmClass => {
+                const row = new Adw.ActionRow({ title: wmClass });
+
+                const removeButton = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    tooltip_text: 'Remove',
+                });
+                removeButton.add_css_class('flat');
+                removeButton.connect('clicked', () => {
+                    const apps = settings.get_strv(key)
+                        .filter(app => app !== wmClass);
+                    settings.set_strv(key, apps);
+                });
+
+                row.add_suffix(removeButton);
+                group.add(row);
+                return row;
+            });
+        };
+
+        const changedId = settings.connect(`changed::${key}`, rebuild);
+        group.connect('destroy', () => settings.disconnect(changedId));
+        rebuild();
+
+        return group;
+    }
+
+    /**
+     * @param {Gio.Settings} settings
+     * @returns {Adw.PreferencesGroup}
+     * @private
+     */
+    _createSnapshotsGroup(settings) {
+        const group = new Adw.PreferencesGroup({
+            title: 'Layout Snapshots',
+            description: 'Named arrangements of a workspace, restored onto the active workspace',
+        });
+
+        const launchRow = new Adw.SwitchRow({
+            title: 'Launch missing apps',
+            subtitle: 'Start apps of the snapshot that have no open window when restoring',
+        });
+        settings.bind('snapshot-launch-apps', launchRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+        group.add(launchRow);
+
+        // Only the shell knows the current arrangement, so saving and
+        // restoring go through the extension's D-Bus commands
+        const saveRow = new Adw.EntryRow({
+            title: 'Save active workspace as',
+            show_apply_button: true,
+        });
+        saveRow.connect('apply', () => {
+            const name = saveRow.get_text().trim();
+            if (name) {
+                this._callCommand('SaveSnapshot', new GLib.Variant('(s)', [name]));
+            }
+            saveRow.set_text('');
+        });
+        group.add(saveRow);
+
+        /** @type {Adw.ActionRow[]} */
+        let snapshotRows = [];
+
+        const rebuild = () => {
+            for (const row of snapshotRows) {
+                group.remove(row);
+            }
+
+            const snapshots = settings.get_value('layout-snapshots').deepUnpack();
+            snapshotRows = Object.keys(snapshots).sort().map(name => {
+                const row = new Adw.ActionRow({ title: name });
+
+                const restoreButton = new Gtk.Button({
+                    icon_name: 'view-restore-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    tooltip_text: 'Restore',
+                });
+                restoreButton.add_css_class('flat');
+                restoreButton.connect('clicked', () => {
+                    this._callCommand('RestoreSnapshot', new GLib.Variant('(s)', [name]));
+                });
+
+                const removeButton = new Gtk.Button({
+                    icon_name: 'user-trash-symbolic',
+                    valign: Gtk.Align.CENTER,
+                    tooltip_text: 'Delete',
+                });
+                removeButton.add_css_class('flat');
+                removeButton.connect('clicked', () => {
+                    const remaining = { ...settings.get_value('layout-snapshots').deepUnpack() };
+                    delete remaining[name];
+                    settings.set_value('layout-snapshots', new GLib.Variant('a{ss}', remaining));
+                });
+
+                row.add_suffix(restoreButton);
+                row.add_suffix(removeButton);
+                group.add(row);
+                return row;
+            });
+        };
+
+        const changedId = settings.connect('changed::layout-snapshots', rebuild);
+        group.connect('destroy', () => settings.disconnect(changedId));
+        rebuild();
+
+        return group;
+    }
+
+    /**
+     * Call a command of the running extension over D-Bus
+     * @param {string} method
+     * @param {GLib.Variant|null} parameters
+     * @private
+     */
+    _callCommand(method, parameters) {
+        Gio.DBus.session.call(
+            'org.gnome.Shell',
+            '/org/gnome/Shell/Extensions/GravTile',
+            'org.gnome.Shell.Extensions.GravTile',
+            method,
+            parameters,
+            null,
+            Gio.DBusCallFlags.NONE,
+            -1,
+            null,
+            (connection, result) => {
+                try {
+                    connection.call_finish(result);
+                } catch (e) {
+                    console.error(`GravTile: ${method} failed: ${e.message}`);
+                }
+            }
+        );
+    }
+
+    /**
+     * @param {Gio.Settings} settings
+     * @returns {Adw.PreferencesGroup}
+     * @private
+     */
+    _createDebugGroup(settings) {
+        const group = new Adw.PreferencesGroup({ title: 'Development' });
+
+        const row = new Adw.SwitchRow({
+            title: 'Debug logging',
+            subtitle: 'Write debug messages and state dumps to the journal',
+        });
+        settings.bind('debug', row, 'active', Gio.SettingsBindFlags.DEFAULT);
+        group.add(row);
+
+        return group;
+    }
+
+    /**
+     * Create a combo row bound to a string settings key with fixed choices
+     * @param {Gio.Settings} settings
+     * @param {string} key
+     * @param {string} title
+     * @param {Array<[string, string]>} choices - [value, label] pairs
+     * @returns {Adw.ComboRow}
+     * @private
+     */
+    _createComboRow(settings, key, title, choices) {
+        const row = new Adw.ComboRow({
+            title,
+            model: Gtk.StringList.new(choices.map(([, label]) => label)),
+        });
+
+        const sync = () => {
+            const index = choices.findIndex(([value]) => value === settings.get_string(key));
+            row.set_selected(Math.max(index, 0));
+        };
+
+        row.connect('notify::selected', () => {
+            const [value] = choices[row.get_selected()];
+            if (settings.get_string(key) !== value) {
+                settings.set_string(key, value);
+            }
+        });
+
+        const changedId = settings.connect(`changed::${key}`, sync);
+        row.connect('destroy', () => settings.disconnect(changedId));
+        sync();
+
+        return row;
+    }
+
+    /**
+     * Create a spin row bound to a numeric settings key
+     * @param {Gio.Settings} settings
+     * @param {string} key
+     * @param {string} title
+     * @param {string|null} subtitle
+     * @param {number} min
+     * @param {number} max
+     * @param {number} [step=1]
+     * @returns {Adw.SpinRow}
+     * @private
+     */
+    _createSpinRow(settings, key, title, subtitle, min, max, step = 1) {
+        const row = new Adw.SpinRow({
+            title,
+            subtitle: subtitle ?? '',
+            adjustment: new Gtk.Adjustment({
+                lower: min,
+                upper: max,
+                step_increment: step,
+                page_increment: step * 10,
+            }),
+        });
+
+        settings.bind(key, row, 'value', Gio.SettingsBindFlags.DEFAULT);
+
+        return row;
+    }
+}
@@ -0,0 +1,91 @@
+/**
+ * History - Undo and redo stacks of layout transactions
+ *
+ * @description Keeps the layout operations performed by TileManager as
+ * transactions: the store's state before and after the operation, and
+ * which layouts and windows it changed. The undo stack is bounded, the
+ * oldest transactions are dropped first. Recording a new transaction
+ * clears the redo stack.
+ */
+
+/**
+ * @typedef {Object} Transaction
+ * @property {string} label - Name of the operation, for logging
+ * @property {import('./StateStore.js').StateCapture} before
+ * @property {import('./StateStore.js').StateCapture} after
+ * @property {string[]} layoutKeys - Layouts the operation changed
+ * @property {number[]} windowIds - Windows whose state the operation changed
+ */
+
+export class History {
+    /** @type {import('../utils/Logger.js').Logger} */
+    _logger;
+
+    /** @type {number} */
+    _limit;
+
+    /** @type {Transaction[]} */
+    _undoStack = [];
+
+    /** @type {Transaction[]} */
+    _redoStack = [];
+
+    /**
+     * @param {import('../utils/Logger.js').Logger} logger
+     * @param {number} limit - Max number of transactions that can be undone
+     */
+    constructor(logger, limit) {
+        this._logger = logger.child('History');
+        this._limit = limit;
+    }
+
+    /**
+     * Record a transaction that was just performed
+     * @param {Transaction} transaction
+     */
+    record(transaction) {
+        this._undoStack.push(transaction);
+        if (this._undoStack.length > this._limit) {
+            this._undoStack.shift();
+        }
+        this._redoStack = [];
+
+        this._logger.debug(
+            `Recorded "${transaction.label}" (${transaction.layoutKeys.length} layouts, ` +
+            `${transaction.windowIds.length} windows)`
+        );
+    }
+
+    /**
+     * Take the last transaction to undo it
+     * @returns {Transaction|null} null if there is nothing to undo
+     */
+    undo() {
+        const transaction = this._undoStack.pop();
+        if (!transaction) return null;
+
+        this._redoStack.push(transaction);
+        return transaction;
+    }
+
+    /**
+     * Take the last undone transaction to perform it again
+     * @returns {Transaction|null} null if there is nothing to redo
+     */
+    redo() {
+        const transaction = this._redoStack.pop();
+        if (!transaction) return null;
+
+        this._undoStack.push(transaction);
+        return transaction;
+    }
+
+    /**
+     * Forget all transactions, e.g. when the layouts they refer to
+     * were renumbered
+     */
+    clear() {
+        this._undoStack = [];
+        this._redoStack = [];
+    }
+}
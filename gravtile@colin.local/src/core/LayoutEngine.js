@@ -3,6 +3,10 @@
  * 
  * @description Responsible for computing where windows should go
  * based on snap zones, current layout, and work area constraints.
+ * Layout trees (see LayoutTree.js) are edited here whenever an edit
+ * depends on geometry, e.g. turning a snap zone into tree structure.
+ * Trees only hold split ratios; they are turned into pixels here for a
+ * given area and gap, so the same tree fits any monitor.
  */
 
 import { GnomeCompat } from '../utils/GnomeCompat.js';
@@ -10,17 +14,66 @@ import {
     getLeftHalfRect,
     getRightHalfRect,
     getMaximizedRect,
-    getRightEdge,
-    getBottomEdge,
+    getArea,
+    containsPoint,
+    containsRect,
+    fromFractionalRect,
+    toFractionalRect,
 } from '../utils/Geometry.js';
-import { CONFIG } from '../constants.js';
+import {
+    buildChain,
+    carveSlot,
+    computeRects,
+    createLeaf,
+    createSplit,
+    findLeaf,
+    fitRatios,
+    getChain,
+    getChainShares,
+    getEmptyLeaves,
+    getLeaves,
+    getWindowIds,
+    hasSameShape,
+    replaceNode,
+    setChainShares,
+    splitNode,
+} from './LayoutTree.js';
 
 /**
  * @typedef {import('../utils/Geometry.js').Rect} Rect
+ * @typedef {import('../utils/Geometry.js').FractionalRect} FractionalRect
+ */
+
+/**
+ * @typedef {'left'|'right'|'top'|'maximize'|'top-half'|'bottom-half'|
+ *     'left-top'|'right-top'|'left-bottom'|'right-bottom'|
+ *     'left-third'|'center-third'|'right-third'|'left-two-thirds'|'right-two-thirds'} SnapZone
+ */
+
+/**
+ * Width shares a repeated left/right snap cycles through
+ * @type {number[]}
  */
+const SNAP_RATIOS = [1 / 2, 1 / 3, 2 / 3, 1 / 4, 3 / 4];
 
 /**
- * @typedef {'left'|'right'|'top'|'maximize'|'left-top'|'right-top'|'left-bottom'|'right-bottom'} SnapZone
+ * Zones whose width cycles through SNAP_RATIOS
+ * @type {string[]}
+ */
+const RATIO_ZONES = ['left', 'right'];
+
+/**
+ * @typedef {import('./LayoutTree.js').LayoutNode} LayoutNode
+ * @typedef {import('./LayoutTree.js').Orientation} Orientation
+ * @typedef {import('./StateStore.js').Layout} Layout
+ */
+
+/**
+ * @typedef {'bsp'|'master-stack'|'centered-master'} LayoutMode
+ * 'bsp' keeps the splits created by snapping and inserting; 'master-stack'
+ * puts the first windows in a master column on the left and stacks the
+ * rest on the right; 'centered-master' puts the first window in the
+ * center third and alternates the rest into left and right columns.
  */
 
 /**
@@ -33,72 +86,174 @@ export class LayoutEngine {
     /** @type {import('../utils/Logger.js').Logger} */
     _logger;
 
+    /** @type {import('../services/SettingsService.js').SettingsService} */
+    _settings;
+
     /**
      * @param {import('../utils/Logger.js').Logger} logger
+     * @param {import('../services/SettingsService.js').SettingsService} settings
      */
-    constructor(logger) {
+    constructor(logger, settings) {
         this._logger = logger.child('LayoutEngine');
+        this._settings = settings;
     }
 
     /**
      * Calculate the target rectangle for a snap zone
      * @param {SnapZone} zone
      * @param {number} monitorIndex
+     * @param {number|null} [ratio=null] - Width share for left/right zones (default: half)
      * @returns {Rect}
      */
-    calculateSnapRect(zone, monitorIndex) {
+    calculateSnapRect(zone, monitorIndex, ratio = null) {
         const workArea = GnomeCompat.getWorkArea(monitorIndex);
-        const gap = CONFIG.INNER_GAP;
+        const gap = this._settings.innerGap;
+        const outerGap = this._settings.outerGap;
 
         switch (zone) {
             case 'left':
-                return getLeftHalfRect(workArea, gap);
+                return ratio
+                    ? this._getSideRect(workArea, 'left', ratio, gap, outerGap)
+                    : getLeftHalfRect(workArea, gap, outerGap);
 
             case 'right':
-                return getRightHalfRect(workArea, gap);
+                return ratio
+                    ? this._getSideRect(workArea, 'right', ratio, gap, outerGap)
+                    : getRightHalfRect(workArea, gap, outerGap);
 
             case 'top':
             case 'maximize':
-                return getMaximizedRect(workArea, gap);
+                return getMaximizedRect(workArea, outerGap);
+
+            case 'top-half':
+                return this._getHalfHeightRect(workArea, 'top', gap, outerGap);
+
+            case 'bottom-half':
+                return this._getHalfHeightRect(workArea, 'bottom', gap, outerGap);
 
             case 'left-top':
-                return this._getQuadrant(workArea, 'left', 'top', gap);
+                return this._getQuadrant(workArea, 'left', 'top', gap, outerGap);
 
             case 'right-top':
-                return this._getQuadrant(workArea, 'right', 'top', gap);
+                return this._getQuadrant(workArea, 'right', 'top', gap, outerGap);
 
             case 'left-bottom':
-                return this._getQuadrant(workArea, 'left', 'bottom', gap);
+                return this._getQuadrant(workArea, 'left', 'bottom', gap, outerGap);
 
             case 'right-bottom':
-                return this._getQuadrant(workArea, 'right', 'bottom', gap);
+                return this._getQuadrant(workArea, 'right', 'bottom', gap, outerGap);
+
+            case 'left-third':
+                return this.calculateThirdRect(monitorIndex, 'left');
+
+            case 'center-third':
+                return this.calculateThirdRect(monitorIndex, 'center');
+
+            case 'right-third':
+                return this.calculateThirdRect(monitorIndex, 'right');
+
+            case 'left-two-thirds':
+                return this.calculateTwoThirdsRect(monitorIndex, 'left');
+
+            case 'right-two-thirds':
+                return this.calculateTwoThirdsRect(monitorIndex, 'right');
 
             default:
                 this._logger.warn(`Unknown snap zone: ${zone}`);
-                return getMaximizedRect(workArea, gap);
+                return getMaximizedRect(workArea, outerGap);
         }
     }
 
+    /**
+     * Get the width share a snap to a zone should use
+     *
+     * Snapping a window to the zone it is already snapped to moves on to
+     * the next ratio (1/2 → 1/3 → 2/3 → 1/4 → 3/4 → 1/2).
+     * @param {SnapZone} zone
+     * @param {import('./StateStore.js').WindowState|undefined} windowState - Current state of the snapped window
+     * @returns {number|null} null for zones without a width ratio
+     */
+    getNextSnapRatio(zone, windowState) {
+        if (!RATIO_ZONES.includes(zone)) return null;
+
+        if (!windowState?.isTiled || windowState.zone !== zone || !windowState.snapRatio) {
+            return SNAP_RATIOS[0];
+        }
+
+        const index = SNAP_RATIOS.findIndex(r => Math.abs(r - windowState.snapRatio) < 0.001);
+        return SNAP_RATIOS[(index + 1) % SNAP_RATIOS.length];
+    }
+
+    /**
+     * Calculate a full-height rectangle at one side of the work area
+     * @param {Rect} workArea
+     * @param {'left'|'right'} side
+     * @param {number} ratio - Share of the width (between the outer gaps)
+     * @param {number} gap - Gap between windows
+     * @param {number} outerGap - Gap from work area edges
+     * @returns {Rect}
+     * @private
+     */
+    _getSideRect(workArea, side, ratio, gap, outerGap) {
+        const width = Math.floor((workArea.width - outerGap * 2 - gap) * ratio);
+
+        const x = side === 'left'
+            ? workArea.x + outerGap
+            : workArea.x + workArea.width - width - outerGap;
+
+        return {
+            x,
+            y: workArea.y + outerGap,
+            width,
+            height: workArea.height - outerGap * 2,
+        };
+    }
+
+    /**
+     * Calculate a full-width rectangle covering the top or bottom half
+     * @param {Rect} workArea
+     * @param {'top'|'bottom'} vertical
+     * @param {number} gap - Gap between windows
+     * @param {number} outerGap - Gap from work area edges
+     * @returns {Rect}
+     * @private
+     */
+    _getHalfHeightRect(workArea, vertical, gap, outerGap) {
+        const halfHeight = Math.floor((workArea.height - outerGap * 2 - gap) / 2);
+
+        const y = vertical === 'top'
+            ? workArea.y + outerGap
+            : workArea.y + workArea.height - halfHeight - outerGap;
+
+        return {
+            x: workArea.x + outerGap,
+            y,
+            width: workArea.width - outerGap * 2,
+            height: halfHeight,
+        };
+    }
+
     /**
      * Calculate a quadrant rectangle (quarter of screen)
      * @param {Rect} workArea
      * @param {'left'|'right'} horizontal
      * @param {'top'|'bottom'} vertical
-     * @param {number} gap
+     * @param {number} gap - Gap between windows
+     * @param {number} outerGap - Gap from work area edges
      * @returns {Rect}
      * @private
      */
-    _getQuadrant(workArea, horizontal, vertical, gap) {
-        const halfWidth = Math.floor((workArea.width - gap * 3) / 2);
-        const halfHeight = Math.floor((workArea.height - gap * 3) / 2);
+    _getQuadrant(workArea, horizontal, vertical, gap, outerGap) {
+        const halfWidth = Math.floor((workArea.width - outerGap * 2 - gap) / 2);
+        const halfHeight = Math.floor((workArea.height - outerGap * 2 - gap) / 2);
 
         const x = horizontal === 'left'
-            ? workArea.x + gap
-            : workArea.x + workArea.width - halfWidth - gap;
+            ? workArea.x + outerGap
+            : workArea.x + workArea.width - halfWidth - outerGap;
 
         const y = vertical === 'top'
-            ? workArea.y + gap
-            : workArea.y + workArea.height - halfHeight - gap;
+            ? workArea.y + outerGap
+            : workArea.y + workArea.height - halfHeight - outerGap;
 
         return { x, y, width: halfWidth, height: halfHeight };
     }
@@ -111,28 +266,29 @@ export class LayoutEngine {
      */
     calculateThirdRect(monitorIndex, position) {
         const workArea = GnomeCompat.getWorkArea(monitorIndex);
-        const gap = CONFIG.INNER_GAP;
+        const gap = this._settings.innerGap;
+        const outerGap = this._settings.outerGap;
 
-        const thirdWidth = Math.floor((workArea.width - gap * 4) / 3);
+        const thirdWidth = Math.floor((workArea.width - outerGap * 2 - gap * 2) / 3);
 
         let x;
         switch (position) {
             case 'left':
-                x = workArea.x + gap;
+                x = workArea.x + outerGap;
                 break;
             case 'center':
-                x = workArea.x + gap * 2 + thirdWidth;
+                x = workArea.x + outerGap + thirdWidth + gap;
                 break;
             case 'right':
-                x = workArea.x + gap * 3 + thirdWidth * 2;
+                x = workArea.x + outerGap + (thirdWidth + gap) * 2;
                 break;
         }
 
         return {
             x,
-            y: workArea.y + gap,
+            y: workArea.y + outerGap,
             width: thirdWidth,
-            height: workArea.height - gap * 2,
+            height: workArea.height - outerGap * 2,
         };
     }
 
@@ -144,23 +300,503 @@ export class LayoutEngine {
      */
     calculateTwoThirdsRect(monitorIndex, side) {
         const workArea = GnomeCompat.getWorkArea(monitorIndex);
-        const gap = CONFIG.INNER_GAP;
+        const gap = this._settings.innerGap;
+        const outerGap = this._settings.outerGap;
 
-        const thirdWidth = Math.floor((workArea.width - gap * 4) / 3);
+        const thirdWidth = Math.floor((workArea.width - outerGap * 2 - gap * 2) / 3);
         const twoThirdsWidth = thirdWidth * 2 + gap;
 
         const x = side === 'left'
-            ? workArea.x + gap
-            : workArea.x + workArea.width - twoThirdsWidth - gap;
+            ? workArea.x + outerGap
+            : workArea.x + workArea.width - twoThirdsWidth - outerGap;
 
         return {
             x,
-            y: workArea.y + gap,
+            y: workArea.y + outerGap,
             width: twoThirdsWidth,
-            height: workArea.height - gap * 2,
+            height: workArea.height - outerGap * 2,
+        };
+    }
+
+    /**
+     * Get the area tiled windows are laid out in (work area minus outer gaps)
+     * @param {number} monitorIndex
+     * @returns {Rect}
+     */
+    getTilingArea(monitorIndex) {
+        const workArea = GnomeCompat.getWorkArea(monitorIndex);
+        const outerGap = this._settings.outerGap;
+
+        return {
+            x: workArea.x + outerGap,
+            y: workArea.y + outerGap,
+            width: workArea.width - outerGap * 2,
+            height: workArea.height - outerGap * 2,
         };
     }
 
+    /**
+     * Express a rect as fractions of a monitor's work area
+     * @param {Rect} rect
+     * @param {number} monitorIndex
+     * @returns {FractionalRect}
+     */
+    toWorkAreaFraction(rect, monitorIndex) {
+        return toFractionalRect(rect, GnomeCompat.getWorkArea(monitorIndex));
+    }
+
+    /**
+     * Convert fractions of a monitor's work area to pixels
+     * @param {FractionalRect} fraction
+     * @param {number} monitorIndex
+     * @returns {Rect}
+     */
+    fromWorkAreaFraction(fraction, monitorIndex) {
+        return fromFractionalRect(fraction, GnomeCompat.getWorkArea(monitorIndex));
+    }
+
+    /**
+     * Calculate the rect of every node (including empty slots) of a layout
+     * @param {Layout} layout
+     * @param {Rect} [area] - Area to lay out in (default: tiling area of the layout's monitor)
+     * @param {number} [gap] - Gap between windows (default: inner gap setting)
+     * @returns {Map<LayoutNode, Rect>}
+     */
+    calculateNodeRects(layout, area = this.getTilingArea(layout.monitorIndex), gap = this._settings.innerGap) {
+        return computeRects(layout.root, area, gap);
+    }
+
+    /**
+     * Calculate where each window of a layout goes
+     * @param {Layout} layout
+     * @param {Rect} [area] - Area to lay out in (default: tiling area of the layout's monitor)
+     * @param {number} [gap] - Gap between windows (default: inner gap setting)
+     * @returns {Map<number, Rect>} Rect per window ID
+     */
+    calculateLayoutRects(layout, area = this.getTilingArea(layout.monitorIndex), gap = this._settings.innerGap) {
+        /** @type {Map<number, Rect>} */
+        const rects = new Map();
+
+        for (const [node, rect] of this.calculateNodeRects(layout, area, gap)) {
+            if (node.type === 'leaf' && node.windowId !== null) {
+                rects.set(node.windowId, rect);
+            }
+        }
+
+        return rects;
+    }
+
+    /**
+     * Get the mode a layout is arranged in
+     * @param {Layout} layout
+     * @returns {LayoutMode}
+     */
+    getLayoutMode(layout) {
+        if (layout.mode) return layout.mode;
+
+        if (this._settings.ultrawideCenteredMaster && this.isUltrawide(layout.monitorIndex)) {
+            return 'centered-master';
+        }
+
+        return this._settings.layoutMode;
+    }
+
+    /**
+     * Get the number of master windows of a layout
+     * @param {Layout} layout
+     * @returns {number}
+     */
+    getMasterCount(layout) {
+        return this.getLayoutMode(layout) === 'centered-master' ? 1 : this._settings.masterCount;
+    }
+
+    /**
+     * Get the master column share of a layout
+     * @param {Layout} layout
+     * @returns {number}
+     */
+    getMasterRatio(layout) {
+        return layout.masterRatio ?? this._settings.masterRatio;
+    }
+
+    /**
+     * Get the master windows of a layout
+     *
+     * In centered-master layouts that is the window in the center slot,
+     * otherwise the first windows in the tree's order.
+     * @param {Layout} layout
+     * @returns {number[]}
+     */
+    getMasterIds(layout) {
+        const windowIds = getWindowIds(layout.root);
+
+        if (this.getLayoutMode(layout) === 'centered-master') {
+            const center = getLeaves(layout.root).find(leaf => leaf.master && leaf.windowId !== null);
+            return center ? [center.windowId] : windowIds.slice(0, 1);
+        }
+
+        return windowIds.slice(0, this.getMasterCount(layout));
+    }
+
+    /**
+     * Bring a layout's tree into the shape of its mode
+     *
+     * BSP trees are used as they are. Master-stack and centered-master
+     * trees are rebuilt from the window order whenever their shape no
+     * longer matches (e.g. after a window was added or closed); otherwise
+     * the tree is kept, so sizes changed by resizing survive. Master-stack
+     * layouts still pick up their current master ratio.
+     * @param {Layout} layout
+     * @returns {LayoutNode|null} New root
+     */
+    arrangeLayout(layout) {
+        if (!layout.root) return null;
+
+        const windowIds = getWindowIds(layout.root);
+
+        switch (this.getLayoutMode(layout)) {
+            case 'master-stack': {
+                const arranged = this._buildMasterStack(windowIds,
+                    this.getMasterRatio(layout), this._settings.masterCount);
+
+                if (!hasSameShape(layout.root, arranged)) return arranged;
+
+                if (arranged.type === 'split' && arranged.orientation === 'horizontal') {
+                    layout.root.ratio = arranged.ratio;
+                }
+                return layout.root;
+            }
+
+            case 'centered-master': {
+                // The window in the center slot stays the master while
+                // windows are added around it, instead of the leftmost one
+                const masterId = this.getMasterIds(layout)[0];
+                const arranged = this._buildCenteredMaster(
+                    [masterId, ...windowIds.filter(id => id !== masterId)], layout.monitorIndex);
+                if (!hasSameShape(layout.root, arranged)) return arranged;
+
+                // Trees of the same shape from another mode get their center marked
+                const arrangedLeaves = getLeaves(arranged);
+                getLeaves(layout.root).forEach((leaf, i) => {
+                    delete leaf.master;
+                    if (arrangedLeaves[i].master) leaf.master = true;
+                });
+                return layout.root;
+            }
+
+            case 'bsp':
+            default:
+                return layout.root;
+        }
+    }
+
+    /**
+     * Build a master-stack tree
+     * @param {number[]} windowIds - Masters first, then the stack from top to bottom
+     * @param {number} ratio - Share of the master column
+     * @param {number} masterCount
+     * @returns {LayoutNode|null}
+     * @private
+     */
+    _buildMasterStack(windowIds, ratio, masterCount) {
+        const masters = buildChain(windowIds.slice(0, masterCount), 'vertical');
+        const stack = buildChain(windowIds.slice(masterCount), 'vertical');
+
+        // Without a stack the masters use the full width
+        if (!stack) return masters;
+
+        return createSplit('horizontal', ratio, masters, stack);
+    }
+
+    /**
+     * Build a centered-master tree
+     *
+     * The master takes the center third; the other windows alternate
+     * between a left and a right column, stacked when a column holds
+     * more than one. With a single other window the master takes the
+     * right two thirds instead of leaving a third empty.
+     * @param {number[]} windowIds - Master first
+     * @param {number} monitorIndex
+     * @returns {LayoutNode|null}
+     * @private
+     */
+    _buildCenteredMaster(windowIds, monitorIndex) {
+        if (windowIds.length === 0) return null;
+
+        const [masterId, ...others] = windowIds;
+        const area = this.getTilingArea(monitorIndex);
+        const gap = this._settings.innerGap;
+
+        const left = buildChain(others.filter((_, i) => i % 2 === 0), 'vertical');
+        const right = buildChain(others.filter((_, i) => i % 2 === 1), 'vertical');
+        const master = createLeaf(masterId, true);
+
+        if (others.length === 1) {
+            const twoThirds = this.calculateTwoThirdsRect(monitorIndex, 'right');
+            const leftWidth = twoThirds.x - gap - area.x;
+            return createSplit('horizontal', leftWidth / (area.width - gap), left, master);
+        }
+
+        // Split off the left third, then the center third of the rest
+        const third = this.calculateThirdRect(monitorIndex, 'center');
+        const leftWidth = third.x - gap - area.x;
+        const restWidth = area.width - leftWidth - gap;
+
+        return createSplit('horizontal', leftWidth / (area.width - gap),
+            left ?? createLeaf(),
+            createSplit('horizontal', third.width / (restWidth - gap),
+                master, right ?? createLeaf()));
+    }
+
+    /**
+     * Place a window in a snap zone of a layout
+     * @param {Layout} layout
+     * @param {number} windowId - Window not yet part of the layout
+     * @param {SnapZone} zone
+     * @param {number|null} [ratio=null] - Width share for left/right zones
+     * @returns {LayoutNode} New root
+     */
+    placeInZone(layout, windowId, zone, ratio = null) {
+        return this.placeAtRect(layout, windowId,
+            this.calculateSnapRect(zone, layout.monitorIndex, ratio));
+    }
+
+    /**
+     * Place a window at a target rect of a layout
+     *
+     * An empty slot the target fits into is subdivided; otherwise the rest
+     * of the layout is squeezed into the area the target leaves free.
+     * @param {Layout} layout
+     * @param {number} windowId - Window not yet part of the layout
+     * @param {Rect} target
+     * @returns {LayoutNode} New root
+     */
+    placeAtRect(layout, windowId, target) {
+        const area = this.getTilingArea(layout.monitorIndex);
+        const gap = this._settings.innerGap;
+        const tolerance = this._settings.edgeTolerance;
+
+        if (!layout.root) {
+            return carveSlot(area, target, windowId, gap, tolerance);
+        }
+
+        const nodeRects = this.calculateNodeRects(layout);
+        const slot = getEmptyLeaves(layout.root)
+            .filter(leaf => containsRect(nodeRects.get(leaf), target, tolerance))
+            .sort((a, b) => getArea(nodeRects.get(a)) - getArea(nodeRects.get(b)))[0];
+
+        if (slot) {
+            return replaceNode(layout.root, slot,
+                carveSlot(nodeRects.get(slot), target, windowId, gap, tolerance));
+        }
+
+        const carved = carveSlot(area, target, windowId, gap, tolerance);
+        const carvedRects = computeRects(carved, area, gap);
+        const rest = getEmptyLeaves(carved)
+            .sort((a, b) => getArea(carvedRects.get(b)) - getArea(carvedRects.get(a)))[0];
+
+        if (rest) {
+            return replaceNode(carved, rest, layout.root);
+        }
+
+        // The target covers everything (maximize) - share the largest slot instead
+        return this.splitLargest(layout, windowId);
+    }
+
+    /**
+     * Insert a window next to a node of a layout
+     *
+     * The new window gets an equal share of the row (or column) it joins;
+     * the other members shrink proportionally, but never below the
+     * minimum window size.
+     * @param {Layout} layout
+     * @param {LayoutNode} node - Leaf or subtree to insert beside
+     * @param {number} windowId
+     * @param {Orientation} orientation
+     * @param {boolean} after - Insert right of (or below) the node
+     * @returns {LayoutNode} New root
+     */
+    insertBeside(layout, node, windowId, orientation, after) {
+        // Start the new leaf without any share, so the chain shares
+        // still describe the layout as it was before the insert
+        const { root, leaf } = splitNode(layout.root, node, windowId,
+            orientation, after, after ? 1 : 0);
+
+        const chain = getChain(root, leaf);
+        const area = this.getTilingArea(layout.monitorIndex);
+        const chainRect = computeRects(root, area, this._settings.innerGap).get(chain.top);
+
+        const span = orientation === 'horizontal' ? chainRect.width : chainRect.height;
+        const minSize = orientation === 'horizontal'
+            ? this._settings.minWindowWidth
+            : this._settings.minWindowHeight;
+
+        setChainShares(chain,
+            this._distributeShares(getChainShares(chain), leaf, span, minSize));
+
+        this._logger.debug(`Inserted window ${windowId} into a chain of ${chain.items.length}`);
+
+        return root;
+    }
+
+    /**
+     * Give a new chain item an equal share, scaling the others down
+     * @param {Map<LayoutNode, number>} shares - Current shares (new item at 0)
+     * @param {LayoutNode} newItem
+     * @param {number} span - Chain extent in pixels
+     * @param {number} minSize - Minimum item extent in pixels
+     * @returns {Map<LayoutNode, number>}
+     * @private
+     */
+    _distributeShares(shares, newItem, span, minSize) {
+        const newShare = 1 / shares.size;
+        const minShare = Math.min(newShare, minSize / span);
+
+        /** @type {Map<LayoutNode, number>} */
+        const result = new Map();
+        const flexible = [];
+        let excess = 0;
+
+        for (const [item, share] of shares) {
+            if (item === newItem) continue;
+
+            const scaled = share * (1 - newShare);
+            if (scaled < minShare) {
+                result.set(item, minShare);
+                excess += minShare - scaled;
+            } else {
+                result.set(item, scaled);
+                flexible.push(item);
+            }
+        }
+
+        // Take what the minimum size added from items that have room
+        const room = flexible.reduce((sum, item) => sum + result.get(item) - minShare, 0);
+        if (excess > 0 && room > 0) {
+            for (const item of flexible) {
+                const share = result.get(item);
+                result.set(item, share - excess * (share - minShare) / room);
+            }
+        }
+
+        result.set(newItem, newShare);
+        return result;
+    }
+
+    /**
+     * Add a window by splitting the largest slot of a layout along its longer side
+     * @param {Layout} layout
+     * @param {number} windowId
+     * @returns {LayoutNode} New root
+     */
+    splitLargest(layout, windowId) {
+        if (!layout.root) return createLeaf(windowId);
+
+        const nodeRects = this.calculateNodeRects(layout);
+        const largest = getLeaves(layout.root).reduce((best, leaf) =>
+            getArea(nodeRects.get(leaf)) > getArea(nodeRects.get(best)) ? leaf : best);
+
+        const rect = nodeRects.get(largest);
+        const orientation = rect.width >= rect.height ? 'horizontal' : 'vertical';
+
+        return splitNode(layout.root, largest, windowId, orientation).root;
+    }
+
+    /**
+     * Put a window into an empty slot of a layout
+     * @param {Layout} layout
+     * @param {number} windowId
+     * @param {{x: number, y: number}|null} [point=null] - Use the slot at this point
+     *     instead of the largest one
+     * @returns {LayoutNode|null} New root, or null if there is no matching slot
+     */
+    fillEmptySlot(layout, windowId, point = null) {
+        const nodeRects = this.calculateNodeRects(layout);
+        const slots = getEmptyLeaves(layout.root)
+            .filter(leaf => !point || containsPoint(nodeRects.get(leaf), point))
+            .sort((a, b) => getArea(nodeRects.get(b)) - getArea(nodeRects.get(a)));
+
+        if (slots.length === 0) return null;
+
+        slots[0].windowId = windowId;
+        return layout.root;
+    }
+
+    /**
+     * Update a layout's split ratios to match where its windows actually are
+     *
+     * For master-stack layouts this is how resizing across the master/stack
+     * boundary changes the master ratio.
+     * @param {Layout} layout
+     * @param {Map<number, Rect>} windowRects - Actual rect per window ID
+     */
+    fitToWindowRects(layout, windowRects) {
+        const nodeRects = this.calculateNodeRects(layout);
+
+        fitRatios(layout.root, leaf =>
+            (leaf.windowId !== null ? windowRects.get(leaf.windowId) : null) ??
+            nodeRects.get(leaf) ?? null);
+
+        // Moving the master/stack boundary changes the layout's master ratio
+        if (this.getLayoutMode(layout) === 'master-stack' &&
+            layout.root?.type === 'split' && layout.root.orientation === 'horizontal') {
+            layout.masterRatio = layout.root.ratio;
+        }
+    }
+
+    /**
+     * Give windows a fixed share of the tiling area's width
+     *
+     * Each window's column, the item of the nearest horizontal chain
+     * containing it, is sized to the share; the other items of that chain
+     * are scaled to fill the rest, except columns fixed before them.
+     * Windows without a horizontal chain already span the whole width.
+     * @param {Layout} layout
+     * @param {Map<number, number>} widthRatios - Share of the tiling area's width, by window ID
+     */
+    applyFixedWidths(layout, widthRatios) {
+        if (!layout.root || widthRatios.size === 0) return;
+
+        const area = this.getTilingArea(layout.monitorIndex);
+        /** @type {Set<LayoutNode>} */
+        const fixed = new Set();
+
+        for (const [windowId, widthRatio] of widthRatios) {
+            const leaf = findLeaf(layout.root, windowId);
+            if (!leaf) continue;
+
+            let item = leaf;
+            let chain = getChain(layout.root, item);
+            while (chain && chain.orientation !== 'horizontal') {
+                item = chain.top;
+                chain = getChain(layout.root, item);
+            }
+            if (!chain) continue;
+
+            const chainWidth = this.calculateNodeRects(layout).get(chain.top).width;
+            const othersMin = (chain.items.length - 1) * this._settings.minWindowWidth / chainWidth;
+            const share = Math.min(widthRatio * area.width / chainWidth, 1 - othersMin);
+            if (share <= 0) continue;
+
+            const shares = getChainShares(chain);
+            const flexible = chain.items.filter(other => other !== item && !fixed.has(other));
+            const rest = flexible.reduce((sum, other) => sum + shares.get(other), 0);
+            const taken = chain.items
+                .filter(other => other !== item && fixed.has(other))
+                .reduce((sum, other) => sum + shares.get(other), 0);
+
+            if (rest > 0) {
+                const scale = Math.max(0, 1 - share - taken) / rest;
+                for (const other of flexible) {
+                    shares.set(other, shares.get(other) * scale);
+                }
+            }
+            shares.set(item, share);
+            setChainShares(chain, shares);
+            fixed.add(item);
+        }
+    }
+
     /**
      * Check if a monitor is ultrawide (aspect ratio > 2:1)
      * @param {number} monitorIndex
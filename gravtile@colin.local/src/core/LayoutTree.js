@@ -0,0 +1,504 @@
+/**
+ * LayoutTree - Binary space partitioning tree for tiled layouts
+ *
+ * @description Pure functions for building and editing the layout
+ * tree of a monitor. Split nodes divide their area between two children
+ * by orientation and ratio; leaf nodes hold a window ID, or null for an
+ * empty slot left over by a partial snap (e.g. a quarter).
+ * Functions that restructure the tree return the (possibly new) root.
+ */
+
+/**
+ * @typedef {import('../utils/Geometry.js').Rect} Rect
+ */
+
+/**
+ * @typedef {'horizontal'|'vertical'} Orientation
+ * 'horizontal' places the children side by side, 'vertical' stacks them.
+ */
+
+/**
+ * @typedef {Object} SplitNode
+ * @property {'split'} type
+ * @property {Orientation} orientation
+ * @property {number} ratio - Share of the first child (0..1)
+ * @property {LayoutNode} first - Left or top child
+ * @property {LayoutNode} second - Right or bottom child
+ */
+
+/**
+ * @typedef {Object} LeafNode
+ * @property {'leaf'} type
+ * @property {number|null} windowId - null for an empty slot
+ * @property {boolean} [master] - Center slot of a centered-master layout;
+ *     stays with the slot when windows are swapped
+ */
+
+/**
+ * @typedef {SplitNode|LeafNode} LayoutNode
+ */
+
+/**
+ * @typedef {Object} Chain
+ * @property {SplitNode} top - Topmost split of the chain
+ * @property {Orientation} orientation
+ * @property {LayoutNode[]} items - Nodes laid out side by side (or stacked) by the chain
+ */
+
+/**
+ * Create a leaf node
+ * @param {number|null} [windowId=null]
+ * @param {boolean} [master=false] - Mark the leaf as the center slot of a centered-master layout
+ * @returns {LeafNode}
+ */
+export function createLeaf(windowId = null, master = false) {
+    return master ? { type: 'leaf', windowId, master } : { type: 'leaf', windowId };
+}
+
+/**
+ * Create a split node
+ * @param {Orientation} orientation
+ * @param {number} ratio
+ * @param {LayoutNode} first
+ * @param {LayoutNode} second
+ * @returns {SplitNode}
+ */
+export function createSplit(orientation, ratio, first, second) {
+    return { type: 'split', orientation, ratio, first, second };
+}
+
+/**
+ * Build a chain of windows with equal shares
+ * @param {number[]} windowIds
+ * @param {Orientation} orientation
+ * @returns {LayoutNode|null}
+ */
+export function buildChain(windowIds, orientation) {
+    if (windowIds.length === 0) return null;
+    if (windowIds.length === 1) return createLeaf(windowIds[0]);
+
+    const [firstId, ...rest] = windowIds;
+    return createSplit(orientation, 1 / windowIds.length,
+        createLeaf(firstId), buildChain(rest, orientation));
+}
+
+/**
+ * Get all leaves in order (left to right, top to bottom)
+ * @param {LayoutNode|null} root
+ * @returns {LeafNode[]}
+ */
+export function getLeaves(root) {
+    if (!root) return [];
+    if (root.type === 'leaf') return [root];
+    return [...getLeaves(root.first), ...getLeaves(root.second)];
+}
+
+/**
+ * Get the IDs of all windows in the tree, in order
+ * @param {LayoutNode|null} root
+ * @returns {number[]}
+ */
+export function getWindowIds(root) {
+    return getLeaves(root)
+        .filter(leaf => leaf.windowId !== null)
+        .map(leaf => leaf.windowId);
+}
+
+/**
+ * Get all empty slots in the tree
+ * @param {LayoutNode|null} root
+ * @returns {LeafNode[]}
+ */
+export function getEmptyLeaves(root) {
+    return getLeaves(root).filter(leaf => leaf.windowId === null);
+}
+
+/**
+ * Find the leaf holding a window
+ * @param {LayoutNode|null} root
+ * @param {number} windowId
+ * @returns {LeafNode|null}
+ */
+export function findLeaf(root, windowId) {
+    return getLeaves(root).find(leaf => leaf.windowId === windowId) ?? null;
+}
+
+/**
+ * Find the parent split of a node
+ * @param {LayoutNode|null} root
+ * @param {LayoutNode} node
+ * @returns {SplitNode|null}
+ */
+export function findParent(root, node) {
+    if (!root || root.type === 'leaf') return null;
+    if (root.first === node || root.second === node) return root;
+    return findParent(root.first, node) ?? findParent(root.second, node);
+}
+
+/**
+ * Replace a node in the tree
+ * @param {LayoutNode|null} root
+ * @param {LayoutNode} oldNode
+ * @param {LayoutNode|null} newNode
+ * @returns {LayoutNode|null} New root
+ */
+export function replaceNode(root, oldNode, newNode) {
+    if (root === oldNode) return newNode;
+
+    const parent = findParent(root, oldNode);
+    if (!parent) return root;
+
+    if (parent.first === oldNode) {
+        parent.first = newNode;
+    } else {
+        parent.second = newNode;
+    }
+
+    return root;
+}
+
+/**
+ * Split a node to make room for another window
+ *
+ * The node keeps its subtree and shares its area with a new leaf.
+ * @param {LayoutNode} root
+ * @param {LayoutNode} node - Leaf or subtree to split
+ * @param {number|null} windowId - Window for the new leaf
+ * @param {Orientation} orientation
+ * @param {boolean} [after=true] - Place the new leaf right of (or below) the node
+ * @param {number} [ratio=0.5] - Share kept by the node
+ * @returns {{root: LayoutNode, leaf: LeafNode}} New root and the new leaf
+ */
+export function splitNode(root, node, windowId, orientation, after = true, ratio = 0.5) {
+    const newLeaf = createLeaf(windowId);
+
+    const split = after
+        ? createSplit(orientation, ratio, node, newLeaf)
+        : createSplit(orientation, 1 - ratio, newLeaf, node);
+
+    return { root: replaceNode(root, node, split), leaf: newLeaf };
+}
+
+/**
+ * Remove a window from the tree
+ *
+ * The sibling of the removed leaf takes over the parent's area, so the
+ * rest of the layout keeps its structure. Empty slots next to the
+ * removed window collapse as well, so closing a window never leaves a
+ * hole behind.
+ * @param {LayoutNode|null} root
+ * @param {number} windowId
+ * @returns {LayoutNode|null} New root (null if no windows remain)
+ */
+export function removeWindow(root, windowId) {
+    const leaf = findLeaf(root, windowId);
+    if (!leaf) return root;
+
+    root = removeNode(root, leaf);
+
+    return getWindowIds(root).length > 0 ? root : null;
+}
+
+/**
+ * @param {LayoutNode|null} root
+ * @param {LayoutNode} node
+ * @returns {LayoutNode|null}
+ */
+function removeNode(root, node) {
+    if (root === node) return null;
+
+    const parent = findParent(root, node);
+    if (!parent) return root;
+
+    const sibling = parent.first === node ? parent.second : parent.first;
+    root = replaceNode(root, parent, sibling);
+
+    if (sibling.type === 'leaf' && sibling.windowId === null) {
+        return removeNode(root, sibling);
+    }
+
+    return root;
+}
+
+/**
+ * Swap the windows of two leaves
+ * @param {LeafNode} a
+ * @param {LeafNode} b
+ */
+export function swapLeaves(a, b) {
+    [a.windowId, b.windowId] = [b.windowId, a.windowId];
+}
+
+/**
+ * Check whether two trees have the same structure
+ *
+ * Ratios and window IDs are ignored, but a window leaf never matches
+ * an empty slot.
+ * @param {LayoutNode|null} a
+ * @param {LayoutNode|null} b
+ * @returns {boolean}
+ */
+export function hasSameShape(a, b) {
+    if (!a || !b) return a === b;
+    if (a.type !== b.type) return false;
+
+    if (a.type === 'leaf') {
+        return (a.windowId === null) === (b.windowId === null);
+    }
+
+    return a.orientation === b.orientation &&
+        hasSameShape(a.first, b.first) &&
+        hasSameShape(a.second, b.second);
+}
+
+/**
+ * Deep-copy a tree
+ * @param {LayoutNode|null} root
+ * @returns {LayoutNode|null}
+ */
+export function cloneTree(root) {
+    if (!root) return null;
+    if (root.type === 'leaf') return createLeaf(root.windowId, root.master);
+    return createSplit(root.orientation, root.ratio,
+        cloneTree(root.first), cloneTree(root.second));
+}
+
+/**
+ * Copy a tree with its window IDs mapped to other IDs
+ *
+ * Windows mapped to null are dropped like removeWindow() would drop them.
+ * @param {LayoutNode|null} root
+ * @param {function(number): (number|null)} mapId
+ * @returns {LayoutNode|null} null if no window is left
+ */
+export function mapWindowIds(root, mapId) {
+    const visit = (node) => {
+        if (node.type === 'leaf') {
+            if (node.windowId === null) return createLeaf();
+
+            const id = mapId(node.windowId);
+            return id === null ? null : createLeaf(id, node.master);
+        }
+
+        const first = visit(node.first);
+        const second = visit(node.second);
+        if (!first || !second) {
+            // Empty slots left without a window next to them go too
+            const rest = first ?? second;
+            return rest?.type === 'leaf' && rest.windowId === null ? null : rest;
+        }
+
+        return createSplit(node.orientation, node.ratio, first, second);
+    };
+
+    const mapped = root ? visit(root) : null;
+    return getWindowIds(mapped).length > 0 ? mapped : null;
+}
+
+/**
+ * Compute the rect of every node
+ * @param {LayoutNode|null} root
+ * @param {Rect} area - Area of the root (work area minus outer gaps)
+ * @param {number} gap - Gap between siblings
+ * @returns {Map<LayoutNode, Rect>}
+ */
+export function computeRects(root, area, gap) {
+    /** @type {Map<LayoutNode, Rect>} */
+    const rects = new Map();
+
+    const visit = (node, rect) => {
+        rects.set(node, rect);
+        if (node.type === 'leaf') return;
+
+        if (node.orientation === 'horizontal') {
+            const firstWidth = Math.round((rect.width - gap) * node.ratio);
+            visit(node.first, { ...rect, width: firstWidth });
+            visit(node.second, {
+                ...rect,
+                x: rect.x + firstWidth + gap,
+                width: rect.width - firstWidth - gap,
+            });
+        } else {
+            const firstHeight = Math.round((rect.height - gap) * node.ratio);
+            visit(node.first, { ...rect, height: firstHeight });
+            visit(node.second, {
+                ...rect,
+                y: rect.y + firstHeight + gap,
+                height: rect.height - firstHeight - gap,
+            });
+        }
+    };
+
+    if (root) visit(root, area);
+
+    return rects;
+}
+
+/**
+ * Update split ratios so the tree reproduces the given leaf rects
+ *
+ * Each split's ratio becomes the share of its first subtree's extent
+ * along the split orientation. Splits where either side has no known
+ * rect keep their ratio.
+ * @param {LayoutNode|null} root
+ * @param {function(LeafNode): (Rect|null)} getRect - Current rect of a leaf
+ */
+export function fitRatios(root, getRect) {
+    /** @returns {Rect|null} Bounding box of the subtree */
+    const visit = (node) => {
+        if (node.type === 'leaf') return getRect(node);
+
+        const first = visit(node.first);
+        const second = visit(node.second);
+        if (!first || !second) return first ?? second;
+
+        const firstSpan = node.orientation === 'horizontal' ? first.width : first.height;
+        const secondSpan = node.orientation === 'horizontal' ? second.width : second.height;
+
+        if (firstSpan + secondSpan > 0) {
+            node.ratio = clampRatio(firstSpan / (firstSpan + secondSpan));
+        }
+
+        const x = Math.min(first.x, second.x);
+        const y = Math.min(first.y, second.y);
+        return {
+            x,
+            y,
+            width: Math.max(first.x + first.width, second.x + second.width) - x,
+            height: Math.max(first.y + first.height, second.y + second.height) - y,
+        };
+    };
+
+    if (root) visit(root);
+}
+
+/**
+ * Find the chain of same-orientation splits a node belongs to
+ *
+ * A chain is what the user sees as a row (or column): e.g. three
+ * side-by-side windows are two nested horizontal splits.
+ * @param {LayoutNode|null} root
+ * @param {LayoutNode} node
+ * @returns {Chain|null} null if the node is the root
+ */
+export function getChain(root, node) {
+    let top = findParent(root, node);
+    if (!top) return null;
+
+    const orientation = top.orientation;
+    let parent = findParent(root, top);
+    while (parent && parent.orientation === orientation) {
+        top = parent;
+        parent = findParent(root, top);
+    }
+
+    const collect = (n) => (n.type === 'split' && n.orientation === orientation)
+        ? [...collect(n.first), ...collect(n.second)]
+        : [n];
+
+    return { top, orientation, items: collect(top) };
+}
+
+/**
+ * Get the share of each chain item (shares sum to 1)
+ * @param {Chain} chain
+ * @returns {Map<LayoutNode, number>}
+ */
+export function getChainShares(chain) {
+    /** @type {Map<LayoutNode, number>} */
+    const shares = new Map();
+
+    const visit = (n, share) => {
+        if (n.type === 'split' && n.orientation === chain.orientation) {
+            visit(n.first, share * n.ratio);
+            visit(n.second, share * (1 - n.ratio));
+        } else {
+            shares.set(n, share);
+        }
+    };
+
+    visit(chain.top, 1);
+    return shares;
+}
+
+/**
+ * Set split ratios within a chain so each item gets the given share
+ * @param {Chain} chain
+ * @param {Map<LayoutNode, number>} shares - Share per item
+ */
+export function setChainShares(chain, shares) {
+    /** @returns {number} Total share of the subtree */
+    const visit = (n) => {
+        if (n.type === 'split' && n.orientation === chain.orientation) {
+            const first = visit(n.first);
+            const second = visit(n.second);
+            n.ratio = first + second > 0 ? clampRatio(first / (first + second)) : 0.5;
+            return first + second;
+        }
+        return shares.get(n) ?? 0;
+    };
+
+    visit(chain.top);
+}
+
+/**
+ * Build a subtree that places a window at a target rect within an area
+ *
+ * The rest of the area is filled with empty slots. Used to turn a snap
+ * zone (e.g. the top-left quarter) into tree structure.
+ * @param {Rect} area - Area the subtree will cover
+ * @param {Rect} target - Where the window should end up (inside area)
+ * @param {number} windowId
+ * @param {number} gap - Gap between siblings
+ * @param {number} tolerance - Edge distance treated as aligned
+ * @returns {LayoutNode}
+ */
+export function carveSlot(area, target, windowId, gap, tolerance) {
+    const areaRight = area.x + area.width;
+    const areaBottom = area.y + area.height;
+    const targetRight = target.x + target.width;
+    const targetBottom = target.y + target.height;
+
+    // Empty strip left of the target
+    if (target.x - area.x > tolerance) {
+        const ratio = clampRatio((target.x - gap - area.x) / (area.width - gap));
+        const rest = { ...area, x: target.x, width: areaRight - target.x };
+        return createSplit('horizontal', ratio,
+            createLeaf(), carveSlot(rest, target, windowId, gap, tolerance));
+    }
+
+    // Empty strip right of the target
+    if (areaRight - targetRight > tolerance) {
+        const ratio = clampRatio((targetRight - area.x) / (area.width - gap));
+        const rest = { ...area, width: targetRight - area.x };
+        return createSplit('horizontal', ratio,
+            carveSlot(rest, target, windowId, gap, tolerance), createLeaf());
+    }
+
+    // Empty strip above the target
+    if (target.y - area.y > tolerance) {
+        const ratio = clampRatio((target.y - gap - area.y) / (area.height - gap));
+        const rest = { ...area, y: target.y, height: areaBottom - target.y };
+        return createSplit('vertical', ratio,
+            createLeaf(), carveSlot(rest, target, windowId, gap, tolerance));
+    }
+
+    // Empty strip below the target
+    if (areaBottom - targetBottom > tolerance) {
+        const ratio = clampRatio((targetBottom - area.y) / (area.height - gap));
+        const rest = { ...area, height: targetBottom - area.y };
+        return createSplit('vertical', ratio,
+            carveSlot(rest, target, windowId, gap, tolerance), createLeaf());
+    }
+
+    return createLeaf(windowId);
+}
+
+/**
+ * Keep ratios away from 0 and 1 so no child collapses entirely
+ * @param {number} ratio
+ * @returns {number}
+ */
+function clampRatio(ratio) {
+    return Math.min(0.98, Math.max(0.02, ratio));
+}
@@ -0,0 +1,155 @@
+/**
+ * RuleEngine - Window rules matched against new and retitled windows
+ *
+ * @description Rules live in the window-rules setting as a JSON array.
+ * Each rule has conditions (all of which must hold) and actions. The
+ * actions of every matching rule are merged in order, so a later rule
+ * overrides what an earlier one set, e.g. a rule floating one dialog of
+ * an app after a rule sending all of its windows to a monitor.
+ */
+
+/**
+ * @typedef {'normal'|'dialog'|'modal-dialog'|'utility'|'other'} WindowType
+ */
+
+/**
+ * What rules can match on
+ * @typedef {Object} WindowFacts
+ * @property {string} wmClass
+ * @property {string|null} appId - Desktop file ID, e.g. "org.gnome.Nautilus.desktop"
+ * @property {string} title
+ * @property {WindowType} windowType
+ * @property {boolean} transient - Whether the window is transient for another (e.g. its dialog)
+ * @property {boolean} resizable - Whether the size hints allow resizing (min size != max size)
+ */
+
+/**
+ * Conditions of a rule; omitted ones match any window
+ * @typedef {Object} RuleMatch
+ * @property {string} [wmClass] - WM_CLASS, compared case-insensitively
+ * @property {string} [appId] - Desktop file ID, compared case-insensitively
+ * @property {string} [title] - Regular expression the title must match
+ * @property {WindowType} [windowType]
+ * @property {boolean} [transient]
+ * @property {boolean} [resizable]
+ */
+
+/**
+ * What happens to matching windows
+ * @typedef {Object} RuleActions
+ * @property {'float'|'tile'} [tiling] - Never tile, or always tile (even with auto-tiling off)
+ * @property {import('./LayoutEngine.js').SnapZone} [zone] - Tile into this zone instead of auto-tiling
+ * @property {number} [monitor] - Monitor to open on
+ * @property {number} [workspace] - Workspace to open on
+ * @property {number} [widthRatio] - Fixed share of the tiling area's width (0..1)
+ * @property {boolean} [neverResizeAsNeighbor] - Keep the size when a neighbor is resized
+ */
+
+/**
+ * @typedef {Object} WindowRule
+ * @property {string} [name] - Shown in the preferences
+ * @property {RuleMatch} match
+ * @property {RuleActions} actions
+ */
+
+/**
+ * A rule with its title pattern compiled
+ * @typedef {Object} CompiledRule
+ * @property {WindowRule} rule
+ * @property {RegExp|null} titlePattern
+ */
+
+/**
+ * Check if a window fulfils a rule's conditions
+ * @param {CompiledRule} compiled
+ * @param {WindowFacts} facts
+ * @returns {boolean}
+ */
+function matches(compiled, facts) {
+    const match = compiled.rule.match;
+    const sameText = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+    if (match.wmClass !== undefined && !sameText(match.wmClass, facts.wmClass)) return false;
+    if (match.appId !== undefined && !(facts.appId && sameText(match.appId, facts.appId))) return false;
+    if (compiled.titlePattern && !compiled.titlePattern.test(facts.title)) return false;
+    if (match.windowType !== undefined && match.windowType !== facts.windowType) return false;
+    if (match.transient !== undefined && match.transient !== facts.transient) return false;
+    if (match.resizable !== undefined && match.resizable !== facts.resizable) return false;
+
+    return true;
+}
+
+export class RuleEngine {
+    /** @type {import('../utils/Logger.js').Logger} */
+    _logger;
+
+    /** @type {import('../services/SettingsService.js').SettingsService} */
+    _settings;
+
+    /** @type {CompiledRule[]} */
+    _rules = [];
+
+    /**
+     * @param {import('../utils/Logger.js').Logger} logger
+     * @param {import('../services/SettingsService.js').SettingsService} settings
+     */
+    constructor(logger, settings) {
+        this._logger = logger.child('RuleEngine');
+        this._settings = settings;
+    }
+
+    /**
+     * Read the rules from the settings again
+     *
+     * Rules that aren't objects with match and actions, have no
+     * conditions (they would match every window) or whose title pattern
+     * isn't a valid regular expression, are skipped.
+     */
+    reload() {
+        this._rules = [];
+
+        for (const [i, rule] of this._settings.windowRules.entries()) {
+            if (typeof rule?.match !== 'object' || typeof rule?.actions !== 'object' ||
+                !rule.match || !rule.actions) {
+                this._logger.warn(`Skipping malformed window rule ${i + 1}`);
+                continue;
+            }
+            if (!Object.values(rule.match).some(condition => condition !== undefined && condition !== '')) {
+                this._logger.debug(`Skipping window rule ${rule.name ?? i + 1} without conditions`);
+                continue;
+            }
+
+            let titlePattern = null;
+            if (rule.match.title) {
+                try {
+                    titlePattern = new RegExp(rule.match.title);
+                } catch (e) {
+                    this._logger.warn(`Skipping window rule ${rule.name ?? i + 1}: bad title pattern:`, e);
+                    continue;
+                }
+            }
+
+            this._rules.push({ rule, titlePattern });
+        }
+
+        this._logger.debug(`Loaded ${this._rules.length} window rules`);
+    }
+
+    /**
+     * Get the merged actions of all rules a window matches
+     * @param {WindowFacts} facts
+     * @returns {RuleActions} Empty if no rule matches
+     */
+    evaluate(facts) {
+        /** @type {RuleActions} */
+        const actions = {};
+
+        for (const compiled of this._rules) {
+            if (matches(compiled, facts)) {
+                Object.assign(actions, compiled.rule.actions);
+            }
+        }
+
+        return actions;
+    }
+}
@@ -4,6 +4,9 @@
  * @description Maintains the current layout state including
  * window positions, neighbor relationships, and tiling metadata.
  * This is the single source of truth for the tiling system.
+ * Each monitor of each workspace has a layout tree describing how its
+ * tiled windows share the screen; window rects are derived from it.
+ * Lookups without an explicit workspace use the active one.
  */
 
 import {
@@ -13,7 +16,7 @@ import {
     getRightEdge,
     getBottomEdge
 } from '../utils/Geometry.js';
-import { CONFIG } from '../constants.js';
+import { cloneTree, findLeaf, getWindowIds, removeWindow as removeFromTree } from './LayoutTree.js';
 
 /**
  * @typedef {import('../utils/Geometry.js').Rect} Rect
@@ -22,13 +25,34 @@ import { CONFIG } from '../constants.js';
 /**
  * @typedef {Object} WindowState
  * @property {number} id - Window stable ID
- * @property {Rect} rect - Current position and size
- * @property {Rect|null} originalRect - Position before tiling (for untile)
+ * @property {Rect} rect - Last applied position and size (pixels; the layout tree is authoritative)
+ * @property {Rect|null} originalRect - Position before tiling, in pixels
+ * @property {import('../utils/Geometry.js').FractionalRect|null} originalFraction -
+ *     Position before tiling as fractions of the work area (for untile)
+ * @property {string|null} originalMonitor - Key of the monitor the window was on before tiling
  * @property {string} zone - Current snap zone ('left', 'right', 'custom', etc.)
+ * @property {number|null} snapRatio - Width share of the last left/right snap (for ratio cycling)
  * @property {boolean} isTiled - Whether window is managed by tiling
+ * @property {boolean} maximized - Whether the window covers its whole layout instead of its slot
  * @property {Neighbors} neighbors - Adjacent windows
  */
 
+/**
+ * @typedef {Object} Layout
+ * @property {number} workspaceIndex - Workspace the layout belongs to
+ * @property {number} monitorIndex - Monitor the layout covers
+ * @property {import('./LayoutTree.js').LayoutNode|null} root - Layout tree (null when empty)
+ * @property {import('./LayoutEngine.js').LayoutMode|null} mode - Mode override (null follows the settings)
+ * @property {number|null} masterRatio - Master column share override (null follows the settings)
+ */
+
+/**
+ * Copy of the store's layouts and window states, see capture()
+ * @typedef {Object} StateCapture
+ * @property {Map<string, Layout>} layouts - Layout copies, keyed like the store's layouts
+ * @property {Map<number, WindowState>} windows - Window state copies, by window ID
+ */
+
 /**
  * @typedef {Object} Neighbors
  * @property {number[]} left - Windows to the left
@@ -41,17 +65,37 @@ export class StateStore {
     /** @type {import('../utils/Logger.js').Logger} */
     _logger;
 
+    /** @type {import('../services/SettingsService.js').SettingsService} */
+    _settings;
+
     /** @type {Map<number, WindowState>} */
     _windows = new Map();
 
+    /** @type {Map<string, Layout>} Layouts keyed by "workspace:monitor" */
+    _layouts = new Map();
+
+    /** @type {number} */
+    _activeWorkspace = 0;
+
+    /** @type {Map<string, Layout[]>} Layouts of unplugged monitors, by monitor key */
+    _parkedLayouts = new Map();
+
+    /** @type {Set<number>} Windows the user took out of tiling */
+    _floatingWindows = new Set();
+
+    /** @type {Set<number>} Windows that keep their size when a neighbor is resized */
+    _resizeLockedWindows = new Set();
+
     /** @type {Set<function(): void>} */
     _changeListeners = new Set();
 
     /**
      * @param {import('../utils/Logger.js').Logger} logger
+     * @param {import('../services/SettingsService.js').SettingsService} settings
      */
-    constructor(logger) {
+    constructor(logger, settings) {
         this._logger = logger.child('StateStore');
+        this._settings = settings;
     }
 
     /**
@@ -67,8 +111,12 @@ export class StateStore {
             id,
             rect: state.rect ?? existing?.rect ?? { x: 0, y: 0, width: 0, height: 0 },
             originalRect: state.originalRect ?? existing?.originalRect ?? null,
+            originalFraction: state.originalFraction ?? existing?.originalFraction ?? null,
+            originalMonitor: state.originalMonitor ?? existing?.originalMonitor ?? null,
             zone: state.zone ?? existing?.zone ?? 'none',
+            snapRatio: state.snapRatio ?? existing?.snapRatio ?? null,
             isTiled: state.isTiled ?? existing?.isTiled ?? false,
+            maximized: state.maximized ?? existing?.maximized ?? false,
             neighbors: state.neighbors ?? existing?.neighbors ?? {
                 left: [], right: [], top: [], bottom: []
             },
@@ -92,6 +140,8 @@ export class StateStore {
      * @param {number} id
      */
     removeWindow(id) {
+        this.removeFromLayout(id);
+
         if (this._windows.delete(id)) {
             // Update neighbors of other windows
             this._removeFromNeighbors(id);
@@ -100,11 +150,232 @@ export class StateStore {
     }
 
     /**
-     * Get all tiled windows
+     * Mark a window as floating by choice, or clear the mark
+     *
+     * The mark outlives removeWindow(), which untiling a window does.
+     * @param {number} id
+     * @param {boolean} floating
+     */
+    setFloating(id, floating) {
+        if (floating) {
+            this._floatingWindows.add(id);
+        } else {
+            this._floatingWindows.delete(id);
+        }
+    }
+
+    /**
+     * Check if a window floats by choice; auto-tiling leaves it alone.
+     * A marked window that got tiled again (e.g. by undo) doesn't float.
+     * @param {number} id
+     * @returns {boolean}
+     */
+    isFloating(id) {
+        return this._floatingWindows.has(id) && !this._windows.get(id)?.isTiled;
+    }
+
+    /**
+     * Let a window keep its size when a neighbor is resized, or not
+     * @param {number} id
+     * @param {boolean} locked
+     */
+    setResizeLocked(id, locked) {
+        if (locked) {
+            this._resizeLockedWindows.add(id);
+        } else {
+            this._resizeLockedWindows.delete(id);
+        }
+    }
+
+    /**
+     * @param {number} id
+     * @returns {boolean} Whether a window keeps its size when a neighbor is resized
+     */
+    isResizeLocked(id) {
+        return this._resizeLockedWindows.has(id);
+    }
+
+    /**
+     * Set the workspace used by lookups that don't name one
+     * @param {number} workspaceIndex
+     */
+    setActiveWorkspace(workspaceIndex) {
+        this._activeWorkspace = workspaceIndex;
+    }
+
+    /**
+     * @returns {number} Index of the active workspace
+     */
+    getActiveWorkspace() {
+        return this._activeWorkspace;
+    }
+
+    /**
+     * Get the layout of a monitor, creating an empty one if needed
+     * @param {number} monitorIndex
+     * @param {number} [workspaceIndex] - Defaults to the active workspace
+     * @returns {Layout}
+     */
+    getLayout(monitorIndex, workspaceIndex = this._activeWorkspace) {
+        const key = this._layoutKey(workspaceIndex, monitorIndex);
+        let layout = this._layouts.get(key);
+
+        if (!layout) {
+            layout = { workspaceIndex, monitorIndex, root: null, mode: null, masterRatio: null };
+            this._layouts.set(key, layout);
+        }
+
+        return layout;
+    }
+
+    /**
+     * Get all layouts, optionally only those of one workspace
+     * @param {number|null} [workspaceIndex=null] - Workspace to restrict to (null: all workspaces)
+     * @returns {Layout[]}
+     */
+    getLayouts(workspaceIndex = null) {
+        return Array.from(this._layouts.values())
+            .filter(layout => workspaceIndex === null || layout.workspaceIndex === workspaceIndex);
+    }
+
+    /**
+     * Replace the layout tree of a monitor
+     * @param {number} monitorIndex
+     * @param {import('./LayoutTree.js').LayoutNode|null} root
+     * @param {number} [workspaceIndex] - Defaults to the active workspace
+     */
+    setLayoutRoot(monitorIndex, root, workspaceIndex = this._activeWorkspace) {
+        this.getLayout(monitorIndex, workspaceIndex).root = root;
+        this._notifyChange();
+    }
+
+    /**
+     * Forget the layouts of a removed workspace and renumber the
+     * layouts of the workspaces after it
+     * @param {number} workspaceIndex
+     */
+    removeWorkspace(workspaceIndex) {
+        const layouts = this.getLayouts();
+        this._layouts.clear();
+
+        for (const layout of layouts) {
+            if (layout.workspaceIndex === workspaceIndex) {
+                // Its windows were relocated already; anything left is stale
+                for (const id of getWindowIds(layout.root)) {
+                    this._windows.delete(id);
+                }
+                continue;
+            }
+
+            if (layout.workspaceIndex > workspaceIndex) {
+                layout.workspaceIndex--;
+            }
+            this._layouts.set(this._layoutKey(layout.workspaceIndex, layout.monitorIndex), layout);
+        }
+
+        if (this._activeWorkspace > workspaceIndex) {
+            this._activeWorkspace--;
+        }
+        this._notifyChange();
+    }
+
+    /**
+     * Renumber layouts after the monitor setup changed
+     * @param {Map<number, number>} mapping - Old monitor index → new index
+     * @returns {Layout[]} Layouts of monitors that are gone, removed from the store
+     */
+    renumberMonitors(mapping) {
+        const layouts = this.getLayouts();
+        const detached = [];
+        this._layouts.clear();
+
+        for (const layout of layouts) {
+            if (!mapping.has(layout.monitorIndex)) {
+                detached.push(layout);
+                continue;
+            }
+
+            layout.monitorIndex = mapping.get(layout.monitorIndex);
+            this._layouts.set(this._layoutKey(layout.workspaceIndex, layout.monitorIndex), layout);
+        }
+
+        this._notifyChange();
+        return detached;
+    }
+
+    /**
+     * Keep the layout of an unplugged monitor until it comes back
+     * @param {string} monitorKey
+     * @param {Layout} layout
+     */
+    parkLayout(monitorKey, layout) {
+        if (!this._parkedLayouts.has(monitorKey)) {
+            this._parkedLayouts.set(monitorKey, []);
+        }
+        this._parkedLayouts.get(monitorKey).push(layout);
+    }
+
+    /**
+     * Remove and return the parked layouts of a monitor
+     * @param {string} monitorKey
+     * @returns {Layout[]}
+     */
+    takeParkedLayouts(monitorKey) {
+        const layouts = this._parkedLayouts.get(monitorKey) ?? [];
+        this._parkedLayouts.delete(monitorKey);
+        return layouts;
+    }
+
+    /**
+     * @param {number} workspaceIndex
+     * @param {number} monitorIndex
+     * @returns {string}
+     * @private
+     */
+    _layoutKey(workspaceIndex, monitorIndex) {
+        return `${workspaceIndex}:${monitorIndex}`;
+    }
+
+    /**
+     * Find the layout containing a window
+     * @param {number} windowId
+     * @returns {Layout|null}
+     */
+    findLayout(windowId) {
+        for (const layout of this._layouts.values()) {
+            if (findLeaf(layout.root, windowId)) return layout;
+        }
+        return null;
+    }
+
+    /**
+     * Take a window out of its layout tree, keeping its window state
+     * @param {number} windowId
+     * @returns {number|null} Monitor of the layout it was in
+     */
+    removeFromLayout(windowId) {
+        const layout = this.findLayout(windowId);
+        if (!layout) return null;
+
+        layout.root = removeFromTree(layout.root, windowId);
+        this._notifyChange();
+
+        return layout.monitorIndex;
+    }
+
+    /**
+     * Get the tiled windows of a workspace, optionally only those in
+     * one monitor's layout
+     * @param {number|null} [monitorIndex=null] - Monitor to restrict to (null: all monitors)
+     * @param {number} [workspaceIndex] - Defaults to the active workspace
      * @returns {WindowState[]}
      */
-    getTiledWindows() {
-        return Array.from(this._windows.values()).filter(w => w.isTiled);
+    getTiledWindows(monitorIndex = null, workspaceIndex = this._activeWorkspace) {
+        return this.getLayouts(workspaceIndex)
+            .filter(layout => monitorIndex === null || layout.monitorIndex === monitorIndex)
+            .flatMap(layout => getWindowIds(layout.root))
+            .map(id => this._windows.get(id))
+            .filter(w => w?.isTiled);
     }
 
     /**
@@ -116,16 +387,29 @@ export class StateStore {
     }
 
     /**
-     * Recalculate neighbor relationships for all tiled windows
+     * Recalculate neighbor relationships of tiled windows
+     *
+     * Windows only neighbor windows in the same layout, so a resize
+     * never spills over to another monitor or workspace.
+     * @param {number|null} [monitorIndex=null] - Monitor to recalculate (null: all monitors)
+     * @param {number} [workspaceIndex] - Defaults to the active workspace
      */
-    recalculateNeighbors() {
-        const tiledWindows = this.getTiledWindows();
+    recalculateNeighbors(monitorIndex = null, workspaceIndex = this._activeWorkspace) {
+        const monitors = monitorIndex === null
+            ? this.getLayouts(workspaceIndex).map(layout => layout.monitorIndex)
+            : [monitorIndex];
+        let count = 0;
 
-        for (const window of tiledWindows) {
-            window.neighbors = this._findNeighbors(window, tiledWindows);
+        for (const monitor of monitors) {
+            const tiledWindows = this.getTiledWindows(monitor, workspaceIndex);
+
+            for (const window of tiledWindows) {
+                window.neighbors = this._findNeighbors(window, tiledWindows);
+            }
+            count += tiledWindows.length;
         }
 
-        this._logger.debug(`Recalculated neighbors for ${tiledWindows.length} windows`);
+        this._logger.debug(`Recalculated neighbors for ${count} windows`);
     }
 
     /**
@@ -137,8 +421,8 @@ export class StateStore {
      */
     _findNeighbors(window, allWindows) {
         const neighbors = { left: [], right: [], top: [], bottom: [] };
-        const tolerance = CONFIG.EDGE_TOLERANCE;
-        const minOverlap = CONFIG.NEIGHBOR_OVERLAP_MIN;
+        const tolerance = this._settings.edgeTolerance;
+        const minOverlap = this._settings.neighborOverlapMin;
 
         for (const other of allWindows) {
             if (other.id === window.id) continue;
@@ -232,11 +516,93 @@ export class StateStore {
         }
     }
 
+    /**
+     * Copy the layouts and tiled windows of all workspaces as plain data
+     *
+     * Only what can't be recomputed is kept: layout trees and the
+     * per-window placement history. Pixel rects and neighbors are
+     * derived again when the layouts are applied.
+     * @returns {{layouts: Layout[], windows: Partial<WindowState>[]}}
+     */
+    serialize() {
+        const layouts = this.getLayouts()
+            .filter(layout => layout.root)
+            .map(layout => ({ ...layout, root: cloneTree(layout.root) }));
+
+        const windows = Array.from(this._windows.values())
+            .filter(w => w.isTiled)
+            .map(({ id, zone, snapRatio, originalRect, originalFraction, originalMonitor }) =>
+                ({ id, zone, snapRatio, originalRect, originalFraction, originalMonitor }));
+
+        return { layouts, windows };
+    }
+
+    /**
+     * Copy all layouts and window states, to be put back by restore()
+     * @returns {StateCapture}
+     */
+    capture() {
+        /** @type {StateCapture} */
+        const capture = { layouts: new Map(), windows: new Map() };
+
+        for (const [key, layout] of this._layouts) {
+            capture.layouts.set(key, { ...layout, root: cloneTree(layout.root) });
+        }
+        for (const [id, state] of this._windows) {
+            capture.windows.set(id, { ...state, neighbors: { ...state.neighbors } });
+        }
+
+        return capture;
+    }
+
+    /**
+     * Put back some layouts and window states from a capture
+     *
+     * Layouts and windows missing from the capture are emptied and
+     * removed respectively. Neighbors are left for the caller to
+     * recalculate once the layouts are applied.
+     * @param {StateCapture} capture
+     * @param {Iterable<string>} layoutKeys - Keys of the layouts to put back
+     * @param {Iterable<number>} windowIds - Windows whose state to put back
+     */
+    restore(capture, layoutKeys, windowIds) {
+        for (const key of layoutKeys) {
+            const saved = capture.layouts.get(key);
+            const layout = this._layouts.get(key);
+
+            if (!saved) {
+                if (layout) layout.root = null;
+            } else if (layout) {
+                layout.root = cloneTree(saved.root);
+                layout.mode = saved.mode;
+                layout.masterRatio = saved.masterRatio;
+            } else {
+                this._layouts.set(key, { ...saved, root: cloneTree(saved.root) });
+            }
+        }
+
+        for (const id of windowIds) {
+            const saved = capture.windows.get(id);
+
+            if (saved) {
+                this._windows.set(id, { ...saved, neighbors: { ...saved.neighbors } });
+            } else {
+                this._windows.delete(id);
+            }
+        }
+
+        this._notifyChange();
+    }
+
     /**
      * Clear all state
      */
     clear() {
         this._windows.clear();
+        this._layouts.clear();
+        this._parkedLayouts.clear();
+        this._floatingWindows.clear();
+        this._resizeLockedWindows.clear();
         this._notifyChange();
     }
 
@@ -256,5 +622,26 @@ export class StateStore {
                 `T=[${state.neighbors.top}] B=[${state.neighbors.bottom}]`
             );
         }
+        for (const layout of this._layouts.values()) {
+            this._logger.debug(
+                `Layout workspace ${layout.workspaceIndex} monitor ${layout.monitorIndex}: ` +
+                this._describeNode(layout.root)
+            );
+        }
+    }
+
+    /**
+     * Describe a layout tree compactly, e.g. "H(0.50 [1] V(0.50 [2] [ ]))"
+     * @param {import('./LayoutTree.js').LayoutNode|null} node
+     * @returns {string}
+     * @private
+     */
+    _describeNode(node) {
+        if (!node) return '(empty)';
+        if (node.type === 'leaf') return `[${node.windowId ?? ' '}]`;
+
+        const kind = node.orientation === 'horizontal' ? 'H' : 'V';
+        return `${kind}(${node.ratio.toFixed(2)} ` +
+            `${this._describeNode(node.first)} ${this._describeNode(node.second)})`;
     }
 }
@@ -4,27 +4,70 @@
  * @description Central coordinator that connects all services
  * and handles the tiling logic. Receives events from WindowTracker
  * and SnapDetector, uses LayoutEngine to calculate positions.
+ * Every operation edits the layout tree of a monitor and then applies
+ * the rects computed from it. Each workspace has its own layouts; a
+ * window moved to another workspace leaves its layout and joins the
+ * one of its new workspace. Layouts of unplugged monitors are kept
+ * and restored when the monitor comes back. Layouts are saved to disk
+ * and restored when the extension is enabled again. Operations are
+ * recorded as transactions that can be undone and redone.
  */
 
+import GLib from 'gi://GLib';
+
 import { WindowTracker } from '../services/WindowTracker.js';
 import { SnapDetector } from '../services/SnapDetector.js';
 import { ResizeHandler } from '../services/ResizeHandler.js';
 import { SwapDetector } from '../services/SwapDetector.js';
 import { LayoutEngine } from './LayoutEngine.js';
 import { StateStore } from './StateStore.js';
+import { RuleEngine } from './RuleEngine.js';
+import { History } from './History.js';
+import {
+    buildChain,
+    createLeaf,
+    findLeaf,
+    findParent,
+    getWindowIds,
+    mapWindowIds,
+    removeWindow as removeFromTree,
+    swapLeaves,
+} from './LayoutTree.js';
 import { SnapOverlay } from '../ui/SnapOverlay.js';
 import { SwapOverlay } from '../ui/SwapOverlay.js';
 import { InsertOverlay } from '../ui/InsertOverlay.js';
 import { GapOverlay } from '../ui/GapOverlay.js';
 import { InsertDetector } from '../services/InsertDetector.js';
 import { GapDetector } from '../services/GapDetector.js';
+import { DBusService } from '../services/DBusService.js';
+import { KeybindingService } from '../services/KeybindingService.js';
+import { TilingModeService } from '../services/TilingModeService.js';
+import { StatePersistence } from '../services/StatePersistence.js';
 import { GnomeCompat } from '../utils/GnomeCompat.js';
-import { CONFIG } from '../constants.js';
+import {
+    getBottomEdge,
+    getCenter,
+    getEdgeOverlap,
+    getOverlapArea,
+    getRightEdge,
+} from '../utils/Geometry.js';
+
+/** Seconds to wait for the windows of apps launched by a snapshot */
+const SNAPSHOT_LAUNCH_TIMEOUT = 15;
+
+/** Number of operations that can be undone */
+const HISTORY_LIMIT = 50;
+
+/** @type {Object<string, import('../utils/Geometry.js').Direction>} */
+const OPPOSITE_DIRECTIONS = { left: 'right', right: 'left', top: 'bottom', bottom: 'top' };
 
 export class TileManager {
     /** @type {import('../utils/Logger.js').Logger} */
     _logger;
 
+    /** @type {import('../services/SettingsService.js').SettingsService} */
+    _settings;
+
     /** @type {WindowTracker} */
     _windowTracker;
 
@@ -64,25 +107,100 @@ export class TileManager {
     /** @type {boolean} */
     _enabled = false;
 
+    /** @type {number} */
+    _reflowTimeoutId = 0;
+
+    /** @type {Map<number, number>} Pending overlap correction per monitor */
+    _correctionTimeoutIds = new Map();
+
+    /** @type {number|null} */
+    _lastFocusedTiledId = null;
+
+    /** @type {number} */
+    _startupId = 0;
+
+    /** @type {number} */
+    _saveTimeoutId = 0;
+
+    /** @type {StatePersistence} */
+    _persistence;
+
+    /** @type {(function(): void)|null} */
+    _stateChangedCallback = null;
+
+    /** @type {{name: string, wmClasses: Set<string>}|null} Snapshot waiting for launched apps */
+    _pendingSnapshot = null;
+
+    /** @type {number} */
+    _pendingSnapshotTimeoutId = 0;
+
+    /** @type {number[]} */
+    _workspaceSignalIds = [];
+
+    /** @type {number} */
+    _monitorsChangedId = 0;
+
+    /** @type {number} */
+    _workAreasChangedId = 0;
+
+    /** @type {string[]} Key of each monitor, by index, as of the last monitor change */
+    _monitorKeys = [];
+
+    /** @type {History} */
+    _history;
+
+    /** @type {number} Nesting depth of running transactions */
+    _transactionDepth = 0;
+
+    /** @type {DBusService} */
+    _dbusService;
+
+    /** @type {KeybindingService} */
+    _keybindingService;
+
+    /** @type {TilingModeService} */
+    _tilingModeService;
+
+    /** @type {import('../services/SettingsService.js').SettingsChangedCallback|null} */
+    _settingsChangedCallback = null;
+
+    /** @type {function(): void|null} Removes the window menu items */
+    _removeWindowMenuItems = null;
+
+    /** @type {RuleEngine} */
+    _ruleEngine;
+
+    /** @type {Map<number, import('./RuleEngine.js').RuleActions>} Rule actions of each window, as last evaluated */
+    _ruleActions = new Map();
+
     /**
      * @param {import('../utils/Logger.js').Logger} logger
+     * @param {import('../services/SettingsService.js').SettingsService} settings
      */
-    constructor(logger) {
+    constructor(logger, settings) {
         this._logger = logger.child('TileManager');
+        this._settings = settings;
 
         // Initialize all components
-        this._stateStore = new StateStore(this._logger);
-        this._layoutEngine = new LayoutEngine(this._logger);
+        this._stateStore = new StateStore(this._logger, settings);
+        this._layoutEngine = new LayoutEngine(this._logger, settings);
         this._windowTracker = new WindowTracker(this._logger);
-        this._snapDetector = new SnapDetector(this._logger);
-        this._resizeHandler = new ResizeHandler(this._logger, this._stateStore);
-        this._swapDetector = new SwapDetector(this._logger, this._stateStore);
-        this._insertDetector = new InsertDetector(this._logger, this._stateStore);
-        this._gapDetector = new GapDetector(this._logger, this._stateStore);
+        this._snapDetector = new SnapDetector(this._logger, settings, this._layoutEngine);
+        this._resizeHandler = new ResizeHandler(this._logger, this._stateStore, settings);
+        this._swapDetector = new SwapDetector(this._logger, this._stateStore, settings);
+        this._insertDetector = new InsertDetector(this._logger, this._stateStore, settings);
+        this._gapDetector = new GapDetector(this._logger, this._stateStore, settings);
         this._snapOverlay = new SnapOverlay(this._logger, this._layoutEngine);
         this._swapOverlay = new SwapOverlay(this._logger);
         this._insertOverlay = new InsertOverlay(this._logger);
         this._gapOverlay = new GapOverlay(this._logger);
+        this._dbusService = new DBusService(this._logger, this);
+        this._keybindingService = new KeybindingService(this._logger, settings, this);
+        this._tilingModeService = new TilingModeService(this._logger, settings, this,
+            this._keybindingService);
+        this._persistence = new StatePersistence(this._logger);
+        this._history = new History(this._logger, HISTORY_LIMIT);
+        this._ruleEngine = new RuleEngine(this._logger, settings);
     }
 
     /**
@@ -106,13 +224,40 @@ export class TileManager {
             this._onWindowFocused(window);
         });
 
+        this._windowTracker.onWindowWorkspaceChanged((window) => {
+            this._onWindowWorkspaceChanged(window);
+        });
+
+        this._windowTracker.onWindowTitleChanged((window) => {
+            this._onWindowTitleChanged(window);
+        });
+
+        // Excluded apps from before window rules become float rules
+        const migrated = this._settings.migrateExcludedApps();
+        if (migrated.length > 0) {
+            this._logger.info(`Moved excluded apps into window rules: ${migrated.join(', ')}`);
+        }
+        this._ruleEngine.reload();
+
+        // Follow workspace switches and removals
+        this._stateStore.setActiveWorkspace(GnomeCompat.getActiveWorkspaceIndex());
+        this._workspaceSignalIds.push(
+            GnomeCompat.connectActiveWorkspaceChanged(() => this._onActiveWorkspaceChanged()),
+            GnomeCompat.connectWorkspaceRemoved((_manager, index) => this._onWorkspaceRemoved(index))
+        );
+
+        // Follow monitor hotplug, resolution and work area changes
+        this._monitorKeys = this._getMonitorKeys();
+        this._monitorsChangedId = GnomeCompat.connectMonitorsChanged(() => this._onMonitorsChanged());
+        this._workAreasChangedId = GnomeCompat.connectWorkAreasChanged(() => this._scheduleReflow());
+
         // Set up snap detection
         this._snapDetector.onSnapDetected((event) => {
             this._onSnapDetected(event);
         });
 
-        this._snapDetector.onZoneChanged((zone, monitorIndex) => {
-            this._onZoneChanged(zone, monitorIndex);
+        this._snapDetector.onZoneChanged((zone, monitorIndex, window) => {
+            this._onZoneChanged(zone, monitorIndex, window);
         });
 
         // Set up swap detection
@@ -142,11 +287,15 @@ export class TileManager {
             this._onGapZoneChanged(zone);
         });
 
-        // Set up resize completion callback for overlap correction
+        // Set up resize completion callback to update the layout tree
         this._resizeHandler.onResizeComplete((windowId, monitorIndex) => {
-            this._correctLayoutOverlaps(windowId, monitorIndex);
+            this._onResizeComplete(windowId, monitorIndex);
         });
 
+        // React to preference changes at runtime
+        this._settingsChangedCallback = (key) => this._onSettingsChanged(key);
+        this._settings.onChanged(this._settingsChangedCallback);
+
         // Enable all services
         this._windowTracker.enable();
         this._snapDetector.enable();
@@ -154,11 +303,43 @@ export class TileManager {
         this._swapDetector.enable();
         this._insertDetector.enable();
         this._gapDetector.enable();
+        this._dbusService.enable();
+        this._keybindingService.enable();
+        this._tilingModeService.enable();
+
+        // Windows that existed before enabling are managed too
+        for (const tracked of this._windowTracker.getWindows()) {
+            const actions = this._evaluateRules(tracked);
+            tracked.isManaged = this._canManage(tracked, actions);
+            if (tracked.isManaged && actions.tiling !== 'tile' && this._isFloatingApp(tracked.wmClass)) {
+                this._stateStore.setFloating(tracked.id, true);
+            }
+        }
+
+        this._removeWindowMenuItems = GnomeCompat.extendWindowMenu(
+            metaWindow => this._getWindowMenuItems(metaWindow));
+        if (!this._removeWindowMenuItems) {
+            this._logger.warn('Window menu not extended: WindowMenu._buildMenu is missing');
+        }
 
         // Log monitor info
         this._logMonitorInfo();
 
         this._enabled = true;
+
+        // Let the shell finish mapping windows before moving them
+        this._startupId = GLib.idle_add(GLib.PRIORITY_DEFAULT_IDLE, () => {
+            this._startupId = 0;
+
+            // A saved layout takes precedence over tiling everything anew
+            if (!this._restoreState() && this._settings.tileOnEnable) {
+                this.tileAll();
+            }
+
+            this._stateChangedCallback = () => this._scheduleSave();
+            this._stateStore.onChange(this._stateChangedCallback);
+            return GLib.SOURCE_REMOVE;
+        });
     }
 
     /**
@@ -169,6 +350,61 @@ export class TileManager {
 
         this._logger.info('Disabling TileManager');
 
+        this._settings.offChanged(this._settingsChangedCallback);
+        this._settingsChangedCallback = null;
+
+        this._removeWindowMenuItems?.();
+        this._removeWindowMenuItems = null;
+
+        if (this._reflowTimeoutId) {
+            GLib.source_remove(this._reflowTimeoutId);
+            this._reflowTimeoutId = 0;
+        }
+
+        if (this._startupId) {
+            // Nothing was restored yet, so the saved state is still current
+            GLib.source_remove(this._startupId);
+            this._startupId = 0;
+        } else {
+            this._saveState();
+        }
+
+        if (this._saveTimeoutId) {
+            GLib.source_remove(this._saveTimeoutId);
+            this._saveTimeoutId = 0;
+        }
+
+        this._clearPendingSnapshot();
+
+        if (this._stateChangedCallback) {
+            this._stateStore.offChange(this._stateChangedCallback);
+            this._stateChangedCallback = null;
+        }
+
+        for (const sourceId of this._correctionTimeoutIds.values()) {
+            GLib.source_remove(sourceId);
+        }
+        this._correctionTimeoutIds.clear();
+
+        for (const signalId of this._workspaceSignalIds) {
+            GnomeCompat.disconnectWorkspaceSignal(signalId);
+        }
+        this._workspaceSignalIds = [];
+
+        if (this._monitorsChangedId) {
+            GnomeCompat.disconnectMonitorsSignal(this._monitorsChangedId);
+            this._monitorsChangedId = 0;
+        }
+
+        if (this._workAreasChangedId) {
+            GnomeCompat.disconnectSignal(this._workAreasChangedId);
+            this._workAreasChangedId = 0;
+        }
+
+        this._dbusService.disable();
+        this._tilingModeService.disable();
+        this._keybindingService.disable();
+
         this._windowTracker.disable();
         this._snapDetector.disable();
         this._resizeHandler.disable();
@@ -180,10 +416,195 @@ export class TileManager {
         this._insertOverlay.destroy();
         this._gapOverlay.destroy();
         this._stateStore.clear();
+        this._history.clear();
+        this._ruleActions.clear();
 
         this._enabled = false;
     }
 
+    /**
+     * Save the state a few seconds after it changed
+     *
+     * Changes come in bursts (every applied rect is one), so at most one
+     * save is pending at a time.
+     * @private
+     */
+    _scheduleSave() {
+        if (this._saveTimeoutId) return;
+
+        this._saveTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_LOW, 5, () => {
+            this._saveTimeoutId = 0;
+            this._saveState();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Write the layouts and tiled windows to disk, with what is needed
+     * to recognize each window again
+     * @private
+     */
+    _saveState() {
+        const { layouts, windows } = this._stateStore.serialize();
+
+        this._persistence.save({
+            layouts: layouts.map(layout => this._describeLayout(layout)),
+            windows: windows.map(state => this._describeWindow(state)).filter(saved => saved),
+        });
+    }
+
+    /**
+     * Add the key of its monitor to a serialized layout
+     * @param {import('./StateStore.js').Layout} layout
+     * @returns {import('../services/StatePersistence.js').SavedLayout}
+     * @private
+     */
+    _describeLayout(layout) {
+        return {
+            ...layout,
+            monitorKey: this._monitorKeys[layout.monitorIndex] ?? null,
+        };
+    }
+
+    /**
+     * Add what is needed to recognize a window again to its serialized state
+     * @param {Partial<import('./StateStore.js').WindowState>} state
+     * @returns {import('../services/StatePersistence.js').SavedWindow|null} null if the window is gone
+     * @private
+     */
+    _describeWindow(state) {
+        const tracked = this._windowTracker.getWindow(state.id);
+        if (!tracked) return null;
+
+        return {
+            id: state.id,
+            wmClass: tracked.wmClass,
+            title: tracked.metaWindow.get_title() || tracked.title,
+            pid: GnomeCompat.getWindowPid(tracked.metaWindow),
+            appId: GnomeCompat.getWindowAppId(tracked.metaWindow),
+            state,
+        };
+    }
+
+    /**
+     * Find the current index of the monitor a layout was saved on
+     *
+     * Falls back to the saved index when no monitor has the saved key.
+     * @param {import('../services/StatePersistence.js').SavedLayout} savedLayout
+     * @returns {number} -1 if there is no such monitor
+     * @private
+     */
+    _findSavedMonitor(savedLayout) {
+        const monitorIndex = this._monitorKeys.indexOf(savedLayout.monitorKey);
+        if (monitorIndex >= 0) return monitorIndex;
+
+        return savedLayout.monitorIndex < this._monitorKeys.length ? savedLayout.monitorIndex : -1;
+    }
+
+    /**
+     * Re-apply the layouts saved before the extension was last disabled
+     *
+     * Layouts are only restored onto monitors that have no layout yet,
+     * and windows that can't be found again are left out.
+     * @returns {boolean} Whether any window was restored
+     * @private
+     */
+    _restoreState() {
+        const saved = this._persistence.load();
+        if (!saved) return false;
+
+        const matches = this._matchSavedWindows(saved.windows);
+        const savedStates = new Map(saved.windows.map(w => [w.id, w.state]));
+        let restored = 0;
+
+        for (const savedLayout of saved.layouts) {
+            const monitorIndex = this._findSavedMonitor(savedLayout);
+            if (monitorIndex < 0) continue;
+
+            const layout = this._stateStore.getLayout(monitorIndex, savedLayout.workspaceIndex);
+            if (layout.root) continue;
+
+            const root = mapWindowIds(savedLayout.root, savedId => {
+                const metaWindow = matches.get(savedId);
+                if (!metaWindow ||
+                    GnomeCompat.getWindowWorkspace(metaWindow) !== savedLayout.workspaceIndex ||
+                    this._stateStore.findLayout(metaWindow.get_stable_sequence())) {
+                    return null;
+                }
+                return metaWindow.get_stable_sequence();
+            });
+            if (!root) continue;
+
+            for (const [savedId, metaWindow] of matches) {
+                const id = metaWindow.get_stable_sequence();
+                if (findLeaf(root, id)) {
+                    this._stateStore.setWindow(id, { ...savedStates.get(savedId), isTiled: true });
+                }
+            }
+
+            layout.mode = savedLayout.mode;
+            layout.masterRatio = savedLayout.masterRatio;
+            this._stateStore.setLayoutRoot(monitorIndex, root, savedLayout.workspaceIndex);
+            this._applyLayout(monitorIndex, savedLayout.workspaceIndex);
+
+            restored += getWindowIds(root).length;
+        }
+
+        this._logger.info(`Restored ${restored} windows from saved state`);
+        return restored > 0;
+    }
+
+    /**
+     * Find the current windows that saved windows belong to
+     *
+     * Within a session (e.g. after the lock screen) the stable sequence
+     * still identifies a window; after a shell restart the same app,
+     * title and process have to match.
+     * @param {import('../services/StatePersistence.js').SavedWindow[]} savedWindows
+     * @returns {Map<number, Meta.Window>} Saved window ID → window
+     * @private
+     */
+    _matchSavedWindows(savedWindows) {
+        return this._matchWindows(savedWindows, this.getManagedWindows(), [
+            (saved, c) => c.id === saved.id && c.wmClass === saved.wmClass,
+            (saved, c) =>
+                c.wmClass === saved.wmClass &&
+                c.metaWindow.get_title() === saved.title &&
+                GnomeCompat.getWindowPid(c.metaWindow) === saved.pid,
+        ]);
+    }
+
+    /**
+     * Pair saved windows with candidate windows, each window at most once
+     *
+     * Every rule is tried for all saved windows before the next, looser
+     * rule gets the windows still unmatched.
+     * @param {import('../services/StatePersistence.js').SavedWindow[]} savedWindows
+     * @param {import('../services/WindowTracker.js').TrackedWindow[]} candidates
+     * @param {Array<function(import('../services/StatePersistence.js').SavedWindow,
+     *     import('../services/WindowTracker.js').TrackedWindow): boolean>} rules
+     * @returns {Map<number, Meta.Window>} Saved window ID → window
+     * @private
+     */
+    _matchWindows(savedWindows, candidates, rules) {
+        const claimed = new Set();
+
+        /** @type {Map<number, Meta.Window>} */
+        const matches = new Map();
+
+        for (const isMatch of rules) {
+            for (const saved of savedWindows.filter(s => !matches.has(s.id))) {
+                const match = candidates.find(c => !claimed.has(c.id) && isMatch(saved, c));
+                if (!match) continue;
+
+                claimed.add(match.id);
+                matches.set(saved.id, match.metaWindow);
+            }
+        }
+
+        return matches;
+    }
+
     /**
      * Log monitor information for debugging
      * @private
@@ -195,23 +616,102 @@ export class TileManager {
         for (let i = 0; i < numMonitors; i++) {
             const workArea = GnomeCompat.getWorkArea(i);
             const isUltrawide = this._layoutEngine.isUltrawide(i);
+            const mode = this._layoutEngine.getLayoutMode(this._stateStore.getLayout(i));
             this._logger.info(
                 `Monitor ${i}: ${workArea.width}x${workArea.height} ` +
                 `at (${workArea.x}, ${workArea.y}) ` +
-                `${isUltrawide ? '(ultrawide)' : ''}`
+                `${isUltrawide ? '(ultrawide) ' : ''}layout=${mode}`
             );
         }
     }
 
+    /**
+     * Handle a settings change
+     * @param {string} key - The GSettings key that changed
+     * @private
+     */
+    _onSettingsChanged(key) {
+        this._logger.debug(`Setting changed: ${key}`);
+
+        switch (key) {
+            case 'inner-gap':
+            case 'outer-gap':
+            case 'layout-mode':
+            case 'ultrawide-centered-master':
+            case 'master-count':
+                this._scheduleReflow();
+                break;
+
+            case 'master-ratio':
+                // The new default replaces ratios set by resizing
+                for (const layout of this._stateStore.getLayouts()) {
+                    layout.masterRatio = null;
+                }
+                this._scheduleReflow();
+                break;
+
+            case 'window-rules':
+                // Open windows follow changed rules, e.g. a new float rule
+                // floats the tiled windows it matches. The preferences only
+                // save finished edits, and rules without conditions are
+                // skipped by reload()
+                this._ruleEngine.reload();
+                for (const tracked of this._windowTracker.getWindows()) {
+                    this._reapplyRules(tracked);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Reflow all monitors shortly after the last layout setting change
+     *
+     * Spin buttons in the preferences emit one change per step, so
+     * changes are coalesced before windows are moved.
+     * @private
+     */
+    _scheduleReflow() {
+        if (this._reflowTimeoutId) {
+            GLib.source_remove(this._reflowTimeoutId);
+        }
+
+        this._reflowTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
+            this._reflowTimeoutId = 0;
+            this._reflowAll();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * Recompute every layout for the current settings and apply it
+     * @private
+     */
+    _reflowAll() {
+        const layouts = this._stateStore.getLayouts().filter(layout => layout.root);
+
+        for (const layout of layouts) {
+            this._applyLayout(layout.monitorIndex, layout.workspaceIndex);
+        }
+
+        this._logger.info(
+            `Reflowed ${layouts.length} layouts for gaps ` +
+            `inner=${this._settings.innerGap} outer=${this._settings.outerGap}, ` +
+            `mode=${this._settings.layoutMode}`
+        );
+    }
+
     /**
      * Handle snap zone change during drag (show preview)
      * @param {import('../services/SnapDetector.js').SnapZone} zone
      * @param {number} monitorIndex
+     * @param {Meta.Window} window - The window being dragged
      * @private
      */
-    _onZoneChanged(zone, monitorIndex) {
+    _onZoneChanged(zone, monitorIndex, window) {
         if (zone) {
-            this._snapOverlay.show(zone, monitorIndex);
+            const ratio = this._layoutEngine.getNextSnapRatio(zone,
+                this._stateStore.getWindow(window?.get_stable_sequence()));
+            this._snapOverlay.show(zone, monitorIndex, ratio);
         } else {
             this._snapOverlay.hide();
         }
@@ -228,34 +728,37 @@ export class TileManager {
         // Hide the preview
         this._snapOverlay.hide();
 
-        // Calculate target rectangle
-        const targetRect = this._layoutEngine.calculateSnapRect(event.zone, event.monitorIndex);
-
-        // Store original position for untile
-        const windowId = event.window.get_stable_sequence();
-        const originalRect = GnomeCompat.getWindowRect(event.window);
+        this._snapWindow(event.window, event.zone, event.monitorIndex);
+    }
 
-        // Update state store
-        this._stateStore.setWindow(windowId, {
-            rect: targetRect,
-            originalRect,
-            zone: event.zone,
-            isTiled: true,
+    /**
+     * Tile a window into a snap zone of a monitor
+     * @param {Meta.Window} metaWindow
+     * @param {import('../services/SnapDetector.js').SnapZone} zone
+     * @param {number} monitorIndex
+     * @private
+     */
+    _snapWindow(metaWindow, zone, monitorIndex) {
+        // Snapping to the same side again cycles the width
+        const snappedId = metaWindow.get_stable_sequence();
+        const ratio = this._layoutEngine.getNextSnapRatio(zone,
+            this._stateStore.getWindow(snappedId));
+
+        this._transact('snap', () => {
+            this._tileInto(metaWindow, monitorIndex, zone,
+                (layout, windowId) => this._layoutEngine.placeInZone(layout, windowId, zone, ratio));
+            this._stateStore.setWindow(snappedId, { snapRatio: ratio });
         });
 
-        // Move the window
-        GnomeCompat.moveResizeWindow(event.window, targetRect);
-
-        // Recalculate neighbors after tiling
-        this._stateStore.recalculateNeighbors();
-
+        const targetRect = this._stateStore.getWindow(snappedId).rect;
         this._logger.info(
             `Tiled window to: ${targetRect.x},${targetRect.y} ` +
-            `${targetRect.width}x${targetRect.height}`
+            `${targetRect.width}x${targetRect.height}` +
+            `${ratio ? ` (ratio ${ratio.toFixed(2)})` : ''}`
         );
 
         // Debug print current state
-        if (CONFIG.DEBUG) {
+        if (this._settings.debug) {
             this._stateStore.debugPrint();
         }
     }
@@ -268,166 +771,1540 @@ export class TileManager {
     _onWindowCreated(window) {
         this._logger.info(`Window created: "${window.title}" (${window.wmClass})`);
 
-        // Check if app is excluded
-        if (this._isExcludedApp(window.wmClass)) {
-            this._logger.debug(`Excluding app: ${window.wmClass}`);
+        const actions = this._evaluateRules(window);
+        if (!this._canManage(window, actions)) {
+            this._logger.debug(`Not managing "${window.title}" (${window.wmClass})`);
             return;
         }
 
         window.isManaged = true;
+        this._moveToRuleTarget(window, actions);
+
+        if (actions.tiling !== 'tile' && this._isFloatingApp(window.wmClass)) {
+            this._logger.debug(`Keeping ${window.wmClass} floating`);
+            this._stateStore.setFloating(window.id, true);
+        } else if (actions.tiling === 'tile' || actions.zone || this._settings.autoTile) {
+            this._tileByRules(window, actions);
+        }
+
+        // A window of an app launched for a snapshot takes its recorded slot
+        if (this._pendingSnapshot?.wmClasses.has(window.wmClass)) {
+            this.restoreSnapshot(this._pendingSnapshot.name, false);
+        }
     }
 
     /**
-     * Check if an app should be excluded from tiling
-     * @param {string} wmClass
-     * @returns {boolean}
+     * Handle a window changing its title, which title rules may match
+     * @param {import('../services/WindowTracker.js').TrackedWindow} window
      * @private
      */
-    _isExcludedApp(wmClass) {
-        return CONFIG.EXCLUDED_APPS.some(
-            excluded => wmClass.toLowerCase().includes(excluded.toLowerCase())
-        );
+    _onWindowTitleChanged(window) {
+        this._reapplyRules(window);
     }
 
-
-
     /**
-     * Find a Meta.Window by ID
-     * @param {number} windowId
-     * @returns {Meta.Window|null}
+     * Evaluate the window rules for an open window again, after its title
+     * or the rules changed
+     *
+     * Only what changed is acted on: a tiled window that may no longer be
+     * managed is floated, a window a rule newly tiles, or that a rule no
+     * longer floats, is tiled and a changed fixed width is applied. The
+     * monitor and workspace of a rule only apply to new windows.
+     * @param {import('../services/WindowTracker.js').TrackedWindow} window
      * @private
      */
-    _findMetaWindow(windowId) {
-        // First try WindowTracker
-        const tracked = this._windowTracker.getWindow(windowId);
-        if (tracked?.metaWindow) {
-            return tracked.metaWindow;
+    _reapplyRules(window) {
+        const previous = this._ruleActions.get(window.id) ?? {};
+        const actions = this._evaluateRules(window);
+        window.isManaged = this._canManage(window, actions);
+
+        const layout = this._stateStore.findLayout(window.id);
+        const newlyTiled = actions.tiling === 'tile' && previous.tiling !== 'tile';
+        const noLongerFloated = previous.tiling === 'float' && this._settings.autoTile;
+
+        if (layout && !window.isManaged) {
+            this._logger.info(`Floating "${window.title}" by window rule`);
+            this.untileWindow(window.id);
+        } else if (!layout && window.isManaged && (newlyTiled || noLongerFloated)) {
+            this._logger.info(`Tiling "${window.title}" by window rule`);
+            this._tileByRules(window, actions);
+        } else if (layout && actions.widthRatio !== previous.widthRatio) {
+            this._applyLayout(layout.monitorIndex, layout.workspaceIndex);
         }
+    }
 
-        // Fallback: search all workspace windows
-        const workspaceWindows = GnomeCompat.getWorkspaceWindows();
-        for (const window of workspaceWindows) {
-            if (window.get_stable_sequence() === windowId) {
-                return window;
-            }
-        }
+    /**
+     * Match a window against the window rules and remember the result
+     * @param {import('../services/WindowTracker.js').TrackedWindow} window
+     * @returns {import('./RuleEngine.js').RuleActions}
+     * @private
+     */
+    _evaluateRules(window) {
+        const metaWindow = window.metaWindow;
+        const actions = this._ruleEngine.evaluate({
+            wmClass: window.wmClass,
+            appId: GnomeCompat.getWindowAppId(metaWindow),
+            title: window.title,
+            windowType: GnomeCompat.getWindowType(metaWindow),
+            transient: GnomeCompat.isTransient(metaWindow),
+            resizable: GnomeCompat.isResizable(metaWindow),
+        });
 
-        this._logger.warn(`Window ${windowId} not found in tracker or workspace`);
-        return null;
+        this._ruleActions.set(window.id, actions);
+        this._stateStore.setResizeLocked(window.id, actions.neverResizeAsNeighbor === true);
+        return actions;
     }
 
     /**
-     * Handle window removal
+     * Check if a window takes part in tiling: normal windows unless a rule
+     * floats them, other windows (e.g. dialogs) only if a rule tiles them.
+     * Windows that can't be resized never do.
      * @param {import('../services/WindowTracker.js').TrackedWindow} window
+     * @param {import('./RuleEngine.js').RuleActions} actions
+     * @returns {boolean}
      * @private
      */
-    _onWindowRemoved(window) {
-        this._logger.info(`Window removed: "${window.title}"`);
+    _canManage(window, actions) {
+        const metaWindow = window.metaWindow;
+        if (actions.tiling === 'float' || !GnomeCompat.isResizable(metaWindow)) return false;
 
-        const wasTiled = this._stateStore.getWindow(window.id)?.isTiled;
+        return actions.tiling === 'tile' || GnomeCompat.isNormalWindow(metaWindow);
+    }
 
-        // Remove from state
-        this._stateStore.removeWindow(window.id);
+    /**
+     * Move a new window to the monitor and workspace its rules name,
+     * if those exist
+     * @param {import('../services/WindowTracker.js').TrackedWindow} window
+     * @param {import('./RuleEngine.js').RuleActions} actions
+     * @private
+     */
+    _moveToRuleTarget(window, actions) {
+        const metaWindow = window.metaWindow;
+        const { workspace, monitor } = actions;
+
+        if (workspace >= 0 && workspace < GnomeCompat.getWorkspaceCount() &&
+            workspace !== GnomeCompat.getWindowWorkspace(metaWindow)) {
+            this._logger.debug(`Moving "${window.title}" to workspace ${workspace} by window rule`);
+            GnomeCompat.moveWindowToWorkspace(metaWindow, workspace);
+        }
 
-        // Redistribute remaining windows if this was tiled
-        if (wasTiled) {
-            this._redistributeAfterRemoval();
+        if (monitor >= 0 && monitor < GnomeCompat.getMonitorCount() &&
+            monitor !== GnomeCompat.getWindowMonitor(metaWindow)) {
+            this._logger.debug(`Moving "${window.title}" to monitor ${monitor} by window rule`);
+            GnomeCompat.moveWindowToMonitor(metaWindow, monitor);
         }
     }
 
     /**
-     * Redistribute windows after one is removed
+     * Tile a window into the zone its rules name, or auto-tile it
+     * @param {import('../services/WindowTracker.js').TrackedWindow} window
+     * @param {import('./RuleEngine.js').RuleActions} actions
      * @private
      */
-    _redistributeAfterRemoval() {
-        const tiledWindows = this._stateStore.getTiledWindows();
-
-        if (tiledWindows.length === 0) return;
+    _tileByRules(window, actions) {
+        if (actions.zone) {
+            this._snapWindow(window.metaWindow, actions.zone,
+                GnomeCompat.getWindowMonitor(window.metaWindow));
+        } else {
+            this._autoTileWindow(window);
+        }
+    }
 
-        // Get monitor from first window
-        const firstWindow = this._findMetaWindow(tiledWindows[0].id);
-        if (!firstWindow) return;
+    /**
+     * Place a newly created window into the layout of its monitor
+     * according to the configured placement policy
+     * @param {import('../services/WindowTracker.js').TrackedWindow} window
+     * @private
+     */
+    _autoTileWindow(window) {
+        const metaWindow = window.metaWindow;
+        const monitorIndex = GnomeCompat.getWindowMonitor(metaWindow);
+        const targetLayout = this._stateStore.getLayout(monitorIndex,
+            GnomeCompat.getWindowWorkspace(metaWindow));
+        const tiledCount = getWindowIds(targetLayout.root).length;
+
+        // Only BSP layouts have room for a placement choice; in master
+        // layouts new windows join the end of the window order
+        const placement = this._layoutEngine.getLayoutMode(targetLayout) === 'bsp'
+            ? this._settings.autoTilePlacement
+            : 'append';
 
-        const monitorIndex = GnomeCompat.getWindowMonitor(firstWindow);
-        const workArea = GnomeCompat.getWorkArea(monitorIndex);
-        const gap = CONFIG.INNER_GAP;
+        this._logger.info(
+            `Auto-tiling "${window.title}" on monitor ${monitorIndex} ` +
+            `(${placement}, ${tiledCount} tiled)`
+        );
 
-        const totalWindows = tiledWindows.length;
-        const totalGaps = gap * (totalWindows + 1);
-        const availableWidth = workArea.width - totalGaps;
-        const windowWidth = Math.floor(availableWidth / totalWindows);
+        this._transact('auto-tile', () => this._tileInto(metaWindow, monitorIndex, 'auto', (layout, windowId) => {
+            if (!layout.root) return createLeaf(windowId);
 
-        let currentX = workArea.x + gap;
+            // Holes left by partial snaps are filled first
+            const filled = this._layoutEngine.fillEmptySlot(layout, windowId);
+            if (filled) return filled;
 
-        for (const tiled of tiledWindows) {
-            const rect = {
-                x: currentX,
-                y: workArea.y + gap,
-                width: windowWidth,
-                height: workArea.height - gap * 2,
-            };
+            switch (placement) {
+                case 'next-to-focused': {
+                    const focused = this._lastFocusedTiledId !== null
+                        ? findLeaf(layout.root, this._lastFocusedTiledId)
+                        : null;
+                    return this._layoutEngine.insertBeside(layout,
+                        focused ?? layout.root, windowId, 'horizontal', true);
+                }
 
-            this._stateStore.setWindow(tiled.id, { rect });
+                case 'largest':
+                    return this._layoutEngine.splitLargest(layout, windowId);
 
-            const metaWindow = this._findMetaWindow(tiled.id);
-            if (metaWindow) {
-                GnomeCompat.moveResizeWindow(metaWindow, rect);
+                case 'append':
+                default:
+                    return this._layoutEngine.insertBeside(layout,
+                        layout.root, windowId, 'horizontal', true);
             }
+        }));
+
+        this._scheduleOverlapCorrection(monitorIndex);
+
+        if (this._settings.debug) {
+            this._stateStore.debugPrint();
+        }
+    }
 
-            currentX += windowWidth + gap;
+    /**
+     * Add a window to the layout of a monitor on the window's workspace
+     * and apply the layout
+     *
+     * A window that is already tiled leaves its current layout first, so
+     * dragging it to another place moves it within (or across) layouts.
+     * @param {Meta.Window} metaWindow
+     * @param {number} monitorIndex
+     * @param {string} zone - Zone name to record for the window
+     * @param {function(import('./StateStore.js').Layout, number): import('./LayoutTree.js').LayoutNode} place -
+     *     Returns the new layout root with the window added
+     * @private
+     */
+    _tileInto(metaWindow, monitorIndex, zone, place) {
+        const windowId = metaWindow.get_stable_sequence();
+        const original = this._getOriginalPlacement(metaWindow);
+
+        const workspaceIndex = GnomeCompat.getWindowWorkspace(metaWindow);
+        const layout = this._stateStore.getLayout(monitorIndex, workspaceIndex);
+
+        const previous = this._stateStore.findLayout(windowId);
+        this._stateStore.removeFromLayout(windowId);
+        if (previous && previous !== layout) {
+            this._applyLayout(previous.monitorIndex, previous.workspaceIndex);
         }
 
-        this._stateStore.recalculateNeighbors();
+        this._stateStore.setLayoutRoot(monitorIndex, place(layout, windowId), workspaceIndex);
+        this._stateStore.setWindow(windowId, { ...original, zone, isTiled: true, maximized: false });
+        this._stateStore.setFloating(windowId, false);
 
-        this._logger.info(`Redistributed ${totalWindows} windows after removal`);
+        this._applyLayout(monitorIndex, workspaceIndex);
     }
 
     /**
-     * Handle window focus change
-     * @param {import('../services/WindowTracker.js').TrackedWindow} window
+     * Get the floating placement to remember for a window being tiled
+     *
+     * Windows that are already tiled keep the placement from before they
+     * were first tiled.
+     * @param {Meta.Window} metaWindow
+     * @returns {Partial<import('./StateStore.js').WindowState>} originalRect, originalFraction and originalMonitor
      * @private
      */
-    _onWindowFocused(window) {
-        this._logger.debug(`Window focused: "${window.title}"`);
+    _getOriginalPlacement(metaWindow) {
+        const state = this._stateStore.getWindow(metaWindow.get_stable_sequence());
+        if (state?.isTiled) {
+            return {
+                originalRect: state.originalRect,
+                originalFraction: state.originalFraction,
+                originalMonitor: state.originalMonitor,
+            };
+        }
+
+        const rect = GnomeCompat.getWindowRect(metaWindow);
+        const monitorIndex = GnomeCompat.getWindowMonitor(metaWindow);
+        return {
+            originalRect: rect,
+            originalFraction: this._layoutEngine.toWorkAreaFraction(rect, monitorIndex),
+            originalMonitor: GnomeCompat.getMonitorKey(monitorIndex),
+        };
     }
 
     /**
-     * Get all managed windows
-     * @returns {import('../services/WindowTracker.js').TrackedWindow[]}
+     * Move a window back to where it was before it was tiled
+     *
+     * The placement is scaled to the current work area of the monitor it
+     * was on, or of the monitor it is on now if that one is gone.
+     * @param {Meta.Window} metaWindow
+     * @param {import('./StateStore.js').WindowState} state
+     * @private
      */
-    getManagedWindows() {
-        return this._windowTracker.getWindows().filter(w => w.isManaged);
+    _restoreOriginalPlacement(metaWindow, state) {
+        if (!state.originalFraction) {
+            if (state.originalRect) GnomeCompat.moveResizeWindow(metaWindow, state.originalRect);
+            return;
+        }
+
+        let monitorIndex = this._monitorKeys.indexOf(state.originalMonitor);
+        if (monitorIndex < 0) {
+            monitorIndex = GnomeCompat.getWindowMonitor(metaWindow);
+        }
+
+        GnomeCompat.moveResizeWindow(metaWindow,
+            this._layoutEngine.fromWorkAreaFraction(state.originalFraction, monitorIndex));
     }
 
     /**
-     * Get tiled window info
+     * Move every window of a monitor's layout to the rect computed for it
+     *
+     * The tree is first brought into the shape of the layout's mode.
+     * @param {number} monitorIndex
+     * @param {number} [workspaceIndex] - Defaults to the active workspace
+     * @private
+     */
+    _applyLayout(monitorIndex, workspaceIndex = this._stateStore.getActiveWorkspace()) {
+        const layout = this._stateStore.getLayout(monitorIndex, workspaceIndex);
+        this._stateStore.setLayoutRoot(monitorIndex, this._layoutEngine.arrangeLayout(layout), workspaceIndex);
+        this._layoutEngine.applyFixedWidths(layout, this._getFixedWidths(layout));
+
+        const rects = this._layoutEngine.calculateLayoutRects(layout);
+
+        for (const [windowId, rect] of rects) {
+            this._stateStore.setWindow(windowId, { rect });
+
+            // A maximized window keeps its slot (and neighbors) but covers the layout
+            const metaWindow = this._findMetaWindow(windowId);
+            if (metaWindow) {
+                GnomeCompat.moveResizeWindow(metaWindow, this._stateStore.getWindow(windowId).maximized
+                    ? this._layoutEngine.getTilingArea(monitorIndex)
+                    : rect);
+            }
+        }
+
+        this._stateStore.recalculateNeighbors(monitorIndex, workspaceIndex);
+
+        this._logger.debug(
+            `Applied layout of monitor ${monitorIndex} on workspace ${workspaceIndex} ` +
+            `(${rects.size} windows)`
+        );
+    }
+
+    /**
+     * Width shares window rules fix for windows of a layout
+     * @param {import('./StateStore.js').Layout} layout
+     * @returns {Map<number, number>} Share of the tiling area's width, by window ID
+     * @private
+     */
+    _getFixedWidths(layout) {
+        return new Map(getWindowIds(layout.root)
+            .map(id => [id, this._ruleActions.get(id)?.widthRatio])
+            .filter(([, ratio]) => ratio > 0 && ratio < 1));
+    }
+
+    /**
+     * Check if the windows of an app start floating because one of its
+     * windows was floated with remember-floating on
+     * @param {string} wmClass
+     * @returns {boolean}
+     * @private
+     */
+    _isFloatingApp(wmClass) {
+        return this._settings.rememberFloating && this._settings.floatingApps.includes(wmClass);
+    }
+
+    /**
+     * Remember (or forget) that an app's windows should float, if
+     * remember-floating is on
+     * @param {string} wmClass
+     * @param {boolean} floating
+     * @private
+     */
+    _rememberFloating(wmClass, floating) {
+        if (!this._settings.rememberFloating) return;
+
+        const apps = this._settings.floatingApps;
+        if (floating && !apps.includes(wmClass)) {
+            this._settings.floatingApps = [...apps, wmClass];
+        } else if (!floating && apps.includes(wmClass)) {
+            this._settings.floatingApps = apps.filter(app => app !== wmClass);
+        }
+    }
+
+    /**
+     * Items GravTile adds to the window menu of a window
+     * @param {Meta.Window} metaWindow
+     * @returns {import('../utils/GnomeCompat.js').MenuItem[]}
+     * @private
+     */
+    _getWindowMenuItems(metaWindow) {
+        const windowId = metaWindow.get_stable_sequence();
+        if (!this._windowTracker.getWindow(windowId)?.isManaged) return [];
+
+        const tiled = this._stateStore.findLayout(windowId) !== null;
+        return [{
+            label: tiled ? 'Float Window' : 'Tile Window',
+            activate: () => this.toggleTiled(windowId),
+        }];
+    }
+
+    /**
+     * Find a Meta.Window by ID
+     * @param {number} windowId
+     * @returns {Meta.Window|null}
+     * @private
+     */
+    _findMetaWindow(windowId) {
+        // First try WindowTracker
+        const tracked = this._windowTracker.getWindow(windowId);
+        if (tracked?.metaWindow) {
+            return tracked.metaWindow;
+        }
+
+        // Fallback: search all workspace windows
+        const workspaceWindows = GnomeCompat.getWorkspaceWindows();
+        for (const window of workspaceWindows) {
+            if (window.get_stable_sequence() === windowId) {
+                return window;
+            }
+        }
+
+        this._logger.warn(`Window ${windowId} not found in tracker or workspace`);
+        return null;
+    }
+
+    /**
+     * Handle window removal
+     * @param {import('../services/WindowTracker.js').TrackedWindow} window
+     * @private
+     */
+    _onWindowRemoved(window) {
+        this._logger.info(`Window removed: "${window.title}"`);
+
+        const layout = this._stateStore.findLayout(window.id);
+
+        // Remove from state (and its layout tree)
+        this._stateStore.removeWindow(window.id);
+        this._stateStore.setFloating(window.id, false);
+        this._stateStore.setResizeLocked(window.id, false);
+        this._ruleActions.delete(window.id);
+
+        // Let the remaining windows take over the freed space
+        if (layout) {
+            this._redistributeAfterRemoval(layout.monitorIndex, layout.workspaceIndex);
+        }
+    }
+
+    /**
+     * Redistribute windows after one is removed
+     *
+     * The sibling of the removed window has already taken over its
+     * space in the tree, so this re-applies the layout.
+     * @param {number} monitorIndex
+     * @param {number} [workspaceIndex] - Defaults to the active workspace
+     * @private
+     */
+    _redistributeAfterRemoval(monitorIndex, workspaceIndex = this._stateStore.getActiveWorkspace()) {
+        this._applyLayout(monitorIndex, workspaceIndex);
+
+        const count = getWindowIds(this._stateStore.getLayout(monitorIndex, workspaceIndex).root).length;
+        this._logger.info(`Redistributed ${count} windows on monitor ${monitorIndex} after removal`);
+    }
+
+    /**
+     * Handle window focus change
+     * @param {import('../services/WindowTracker.js').TrackedWindow} window
+     * @private
+     */
+    _onWindowFocused(window) {
+        this._logger.debug(`Window focused: "${window.title}"`);
+
+        if (this._stateStore.getWindow(window.id)?.isTiled) {
+            this._lastFocusedTiledId = window.id;
+        }
+    }
+
+    /**
+     * Move a tiled window into the layout of the workspace it was moved to
+     * @param {import('../services/WindowTracker.js').TrackedWindow} window
+     * @private
+     */
+    _onWindowWorkspaceChanged(window) {
+        const layout = this._stateStore.findLayout(window.id);
+        if (!layout) return;
+
+        const metaWindow = window.metaWindow;
+        const workspaceIndex = GnomeCompat.getWindowWorkspace(metaWindow);
+
+        // Windows on all workspaces stay where they were tiled
+        if (workspaceIndex < 0 || workspaceIndex === layout.workspaceIndex ||
+            GnomeCompat.isOnAllWorkspaces(metaWindow)) {
+            return;
+        }
+
+        this._logger.info(
+            `"${window.title}" moved from workspace ${layout.workspaceIndex} to ${workspaceIndex}`
+        );
+
+        const zone = this._stateStore.getWindow(window.id)?.zone ?? 'auto';
+        this._tileInto(metaWindow, GnomeCompat.getWindowMonitor(metaWindow), zone,
+            (target, windowId) => this._appendToLayout(target, windowId));
+    }
+
+    /**
+     * Add a window to a layout without a particular place: into an
+     * empty slot if there is one, else at the end
+     * @param {import('./StateStore.js').Layout} layout
+     * @param {number} windowId
+     * @returns {import('./LayoutTree.js').LayoutNode} New root
+     * @private
+     */
+    _appendToLayout(layout, windowId) {
+        if (!layout.root) return createLeaf(windowId);
+
+        return this._layoutEngine.fillEmptySlot(layout, windowId) ??
+            this._layoutEngine.insertBeside(layout, layout.root, windowId, 'horizontal', true);
+    }
+
+    /**
+     * Re-validate the layouts of the workspace that became active
+     *
+     * Windows may have closed or moved while the workspace was not
+     * shown, and its work areas may differ from the previous one.
+     * @private
+     */
+    _onActiveWorkspaceChanged() {
+        const workspaceIndex = GnomeCompat.getActiveWorkspaceIndex();
+        this._stateStore.setActiveWorkspace(workspaceIndex);
+
+        this._logger.debug(`Active workspace changed to ${workspaceIndex}`);
+
+        for (const layout of this._stateStore.getLayouts(workspaceIndex)) {
+            for (const id of getWindowIds(layout.root)) {
+                const tracked = this._windowTracker.getWindow(id);
+
+                if (!tracked) {
+                    this._stateStore.removeWindow(id);
+                } else if (GnomeCompat.getWindowWorkspace(tracked.metaWindow) !== workspaceIndex) {
+                    this._onWindowWorkspaceChanged(tracked);
+                }
+            }
+
+            if (layout.root) {
+                this._applyLayout(layout.monitorIndex, workspaceIndex);
+            }
+        }
+    }
+
+    /**
+     * @returns {string[]} Key of each current monitor, by index
+     * @private
+     */
+    _getMonitorKeys() {
+        return Array.from({ length: GnomeCompat.getMonitorCount() },
+            (_, i) => GnomeCompat.getMonitorKey(i));
+    }
+
+    /**
+     * Match the monitors before a monitor change to the ones after it
+     *
+     * Monitors keep their identity when their geometry is unchanged.
+     * Otherwise a monitor whose index is still free is taken to be the
+     * same one with a new resolution or scale.
+     * @param {string[]} oldKeys
+     * @param {string[]} newKeys
+     * @returns {Map<number, number>} Old monitor index → new index
+     * @private
+     */
+    _matchMonitors(oldKeys, newKeys) {
+        /** @type {Map<number, number>} */
+        const mapping = new Map();
+
+        for (const [oldIndex, key] of oldKeys.entries()) {
+            const newIndex = newKeys.indexOf(key);
+            if (newIndex >= 0) mapping.set(oldIndex, newIndex);
+        }
+
+        const taken = new Set(mapping.values());
+        for (const oldIndex of oldKeys.keys()) {
+            if (mapping.has(oldIndex) || oldIndex >= newKeys.length || taken.has(oldIndex)) continue;
+            if (oldKeys.includes(newKeys[oldIndex])) continue;
+
+            mapping.set(oldIndex, oldIndex);
+            taken.add(oldIndex);
+        }
+
+        return mapping;
+    }
+
+    /**
+     * Update layouts after monitors were added, removed or reconfigured
+     *
+     * Windows of a vanished monitor join the layout of the monitor the
+     * shell moved them to; the vanished layout is parked and restored
+     * once a monitor with the same key appears again.
+     * @private
+     */
+    _onMonitorsChanged() {
+        const oldKeys = this._monitorKeys;
+        const newKeys = this._getMonitorKeys();
+        this._monitorKeys = newKeys;
+
+        const mapping = this._matchMonitors(oldKeys, newKeys);
+        const detached = this._stateStore.renumberMonitors(mapping);
+
+        // Recorded transactions refer to the old monitor indices
+        this._history.clear();
+
+        this._logger.info(
+            `Monitors changed: ${oldKeys.length} -> ${newKeys.length} ` +
+            `(${detached.length} layouts without a monitor)`
+        );
+
+        for (const layout of detached) {
+            const ids = getWindowIds(layout.root);
+            if (ids.length === 0) continue;
+
+            this._stateStore.parkLayout(oldKeys[layout.monitorIndex], layout);
+
+            for (const id of ids) {
+                const metaWindow = this._findMetaWindow(id);
+                if (!metaWindow) {
+                    this._stateStore.removeWindow(id);
+                    continue;
+                }
+
+                let monitorIndex = GnomeCompat.getWindowMonitor(metaWindow);
+                if (monitorIndex < 0 || monitorIndex >= newKeys.length) {
+                    monitorIndex = GnomeCompat.getPrimaryMonitor();
+                }
+
+                const zone = this._stateStore.getWindow(id)?.zone ?? 'auto';
+                this._tileInto(metaWindow, monitorIndex, zone,
+                    (target, windowId) => this._appendToLayout(target, windowId));
+            }
+        }
+
+        // Monitors that (re)appeared get their parked layouts back
+        const matched = new Set(mapping.values());
+        for (const [monitorIndex, key] of newKeys.entries()) {
+            if (matched.has(monitorIndex)) continue;
+
+            for (const parked of this._stateStore.takeParkedLayouts(key)) {
+                this._restoreParkedLayout(parked, monitorIndex);
+            }
+        }
+
+        this._logMonitorInfo();
+        this._reflowAll();
+    }
+
+    /**
+     * Move the windows of a parked layout back to its monitor
+     *
+     * Windows that were closed, floated or moved to another workspace
+     * in the meantime are left out.
+     * @param {import('./StateStore.js').Layout} parked
+     * @param {number} monitorIndex - Index the monitor has now
+     * @private
+     */
+    _restoreParkedLayout(parked, monitorIndex) {
+        const target = this._stateStore.getLayout(monitorIndex, parked.workspaceIndex);
+        if (target.root) {
+            this._logger.debug(`Monitor ${monitorIndex} already has a layout, not restoring`);
+            return;
+        }
+
+        let root = parked.root;
+
+        for (const id of getWindowIds(root)) {
+            const current = this._stateStore.findLayout(id);
+
+            if (!current || current.workspaceIndex !== parked.workspaceIndex) {
+                root = removeFromTree(root, id);
+                continue;
+            }
+
+            this._stateStore.removeFromLayout(id);
+        }
+
+        if (!root) return;
+
+        target.mode = parked.mode;
+        target.masterRatio = parked.masterRatio;
+        this._stateStore.setLayoutRoot(monitorIndex, root, parked.workspaceIndex);
+
+        // The layouts the windows were borrowed by are re-applied by the reflow
+        this._logger.info(
+            `Restored ${getWindowIds(root).length} windows to monitor ${monitorIndex} ` +
+            `on workspace ${parked.workspaceIndex}`
+        );
+    }
+
+    /**
+     * Drop the layouts of a removed workspace and renumber the others
+     * @param {number} workspaceIndex
+     * @private
+     */
+    _onWorkspaceRemoved(workspaceIndex) {
+        this._logger.debug(`Workspace ${workspaceIndex} removed`);
+        this._stateStore.removeWorkspace(workspaceIndex);
+        this._history.clear();
+    }
+
+    /**
+     * Get all managed windows
+     * @returns {import('../services/WindowTracker.js').TrackedWindow[]}
+     */
+    getManagedWindows() {
+        return this._windowTracker.getWindows().filter(w => w.isManaged);
+    }
+
+    /**
+     * Check if a window is managed, or tiled anyway (e.g. snapped by drag)
+     * @param {number} windowId
+     * @returns {boolean}
+     */
+    isManagedWindow(windowId) {
+        return this._windowTracker.getWindow(windowId)?.isManaged === true ||
+            this._stateStore.findLayout(windowId) !== null;
+    }
+
+    /**
+     * Get tiled window info
      * @param {number} windowId
      * @returns {import('./StateStore.js').WindowState|undefined}
      */
-    getTiledWindow(windowId) {
-        return this._stateStore.getWindow(windowId);
+    getTiledWindow(windowId) {
+        return this._stateStore.getWindow(windowId);
+    }
+
+    /**
+     * Get the tiled windows of the active workspace that aren't minimized
+     * @returns {import('./StateStore.js').WindowState[]}
+     */
+    getVisibleTiledWindows() {
+        return this._stateStore.getTiledWindows().filter(state => {
+            const metaWindow = this._findMetaWindow(state.id);
+            return metaWindow && !GnomeCompat.isMinimized(metaWindow);
+        });
+    }
+
+    /**
+     * Untile a window (restore to original position)
+     * @param {number} windowId
+     * @returns {boolean} Whether the window was untiled
+     */
+    untileWindow(windowId) {
+        const state = this._stateStore.getWindow(windowId);
+        if (!state?.originalRect) return false;
+
+        const metaWindow = this._findMetaWindow(windowId);
+        if (!metaWindow) return false;
+
+        const layout = this._stateStore.findLayout(windowId);
+
+        this._transact('untile', () => {
+            this._restoreOriginalPlacement(metaWindow, state);
+            this._stateStore.removeWindow(windowId);
+
+            // Redistribute remaining windows
+            if (layout) {
+                this._redistributeAfterRemoval(layout.monitorIndex, layout.workspaceIndex);
+            }
+        });
+
+        this._logger.info(`Untiled window ${windowId}`);
+        return true;
+    }
+
+    /**
+     * Tile a window into a snap zone of the monitor it is on
+     *
+     * Snapping to the left or right again cycles the width like
+     * dropping the window on the same edge does.
+     * @param {number} windowId
+     * @param {import('../services/SnapDetector.js').SnapZone} zone
+     */
+    snapWindow(windowId, zone) {
+        const metaWindow = this._findMetaWindow(windowId);
+        if (!metaWindow) return;
+
+        this._logger.info(`Snapping window ${windowId} to ${zone}`);
+        this._snapWindow(metaWindow, zone, GnomeCompat.getWindowMonitor(metaWindow));
+    }
+
+    /**
+     * Let a tiled window cover its whole layout, or put it back into
+     * its slot
+     *
+     * The window keeps its slot in the tree, so the other windows stay
+     * where they are. Only one window per layout is maximized at a time.
+     * @param {number} windowId
+     */
+    toggleMaximizeInLayout(windowId) {
+        const layout = this._stateStore.findLayout(windowId);
+        if (!layout) {
+            this._logger.debug(`Window ${windowId} is not tiled, nothing to maximize`);
+            return;
+        }
+
+        const maximized = !this._stateStore.getWindow(windowId)?.maximized;
+
+        this._transact('maximize', () => {
+            for (const id of getWindowIds(layout.root)) {
+                this._stateStore.setWindow(id, { maximized: maximized && id === windowId });
+            }
+            this._applyLayout(layout.monitorIndex, layout.workspaceIndex);
+        });
+
+        const metaWindow = this._findMetaWindow(windowId);
+        if (maximized && metaWindow) {
+            GnomeCompat.activateWindow(metaWindow);
+        }
+
+        this._logger.info(`${maximized ? 'Maximized' : 'Restored'} window ${windowId} in its layout`);
+    }
+
+    /**
+     * Untile a tiled window and keep it floating, or add a floating one
+     * to the layout of its monitor as auto-tiling would
+     *
+     * A floated window goes back to where it was before tiling and
+     * auto-tiling leaves it alone. With remember-floating on, the app's
+     * later windows start floating too, until one of them is tiled.
+     * @param {number} windowId
+     */
+    toggleTiled(windowId) {
+        const tracked = this._windowTracker.getWindow(windowId);
+
+        if (this._stateStore.findLayout(windowId)) {
+            // A window that couldn't be untiled stays tiled, and its app
+            // mustn't be remembered as floating
+            if (!this.untileWindow(windowId)) return;
+
+            this._stateStore.setFloating(windowId, true);
+            if (tracked) {
+                this._rememberFloating(tracked.wmClass, true);
+            }
+            return;
+        }
+
+        if (tracked?.isManaged) {
+            this._rememberFloating(tracked.wmClass, false);
+            this._autoTileWindow(tracked);
+        }
+    }
+
+    /**
+     * Move the focus from a tiled window to its neighbor in a direction
+     *
+     * Of several neighbors, the one sharing the longest edge wins, the
+     * most recently used one if edges are equally long. Past the last
+     * window of a monitor the focus moves on to the next monitor in that
+     * direction, wrapping around after the outermost one.
+     * @param {number} windowId
+     * @param {import('../utils/Geometry.js').Direction} direction
+     */
+    focusDirection(windowId, direction) {
+        const state = this._stateStore.getWindow(windowId);
+        const layout = this._stateStore.findLayout(windowId);
+        if (!state?.isTiled || !layout) {
+            this._logger.debug(`Window ${windowId} is not tiled, no neighbors to focus`);
+            return;
+        }
+
+        const ranks = this._getRecentUseRanks();
+        const target =
+            this._pickNeighbor(state.rect, this._stateStore.getNeighbors(windowId, direction), direction, ranks) ??
+            this._findEnteredWindow(state.rect, layout.monitorIndex, direction, ranks);
+        if (!target || target.id === windowId) return;
+
+        this._logger.debug(`Focusing window ${target.id} (${direction} of ${windowId})`);
+        this.focusWindow(target.id);
+    }
+
+    /**
+     * Focus and raise a window
+     * @param {number} windowId
+     */
+    focusWindow(windowId) {
+        const metaWindow = this._findMetaWindow(windowId);
+        if (metaWindow) {
+            GnomeCompat.activateWindow(metaWindow);
+        }
+    }
+
+    /**
+     * Swap a tiled window with its neighbor in a direction
+     *
+     * The neighbor is chosen like focusDirection() chooses it; at the
+     * edge of a monitor it's a window on the next monitor, if there is one.
+     * @param {number} windowId
+     * @param {import('../utils/Geometry.js').Direction} direction
+     */
+    swapDirection(windowId, direction) {
+        const state = this._stateStore.getWindow(windowId);
+        const layout = this._stateStore.findLayout(windowId);
+        if (!state?.isTiled || !layout) {
+            this._logger.debug(`Window ${windowId} is not tiled, nothing to swap`);
+            return;
+        }
+
+        const ranks = this._getRecentUseRanks();
+        const target =
+            this._pickNeighbor(state.rect, this._stateStore.getNeighbors(windowId, direction), direction, ranks) ??
+            this._findEnteredWindow(state.rect, layout.monitorIndex, direction, ranks, false);
+        if (!target || target.id === windowId) return;
+
+        this._logger.info(`Swapping window ${windowId} with ${target.id} (${direction})`);
+        this.swapWith(windowId, target.id);
+    }
+
+    /**
+     * Swap two tiled windows, on the same monitor or not
+     * @param {number} windowId
+     * @param {number} targetId
+     */
+    swapWith(windowId, targetId) {
+        if (windowId === targetId ||
+            !this._stateStore.getWindow(windowId)?.isTiled ||
+            !this._stateStore.getWindow(targetId)?.isTiled) {
+            this._logger.debug(`Can't swap windows ${windowId} and ${targetId}`);
+            return;
+        }
+
+        this._transact('swap', () => this._swapWindows(windowId, targetId));
+
+        this._swapOverlay.flash(this._stateStore.getWindow(windowId).rect,
+            this._stateStore.getWindow(targetId).rect);
+    }
+
+    /**
+     * Move a tiled window one slot along in a direction
+     *
+     * The window passes its neighbor in that direction and takes a share
+     * of the neighbor's slot on the far side. At the edge of a monitor it
+     * joins the layout of the next monitor, at the edge it comes in from.
+     * @param {number} windowId
+     * @param {import('../utils/Geometry.js').Direction} direction
+     */
+    moveDirection(windowId, direction) {
+        const state = this._stateStore.getWindow(windowId);
+        const layout = this._stateStore.findLayout(windowId);
+        const metaWindow = this._findMetaWindow(windowId);
+        if (!state?.isTiled || !layout || !metaWindow) {
+            this._logger.debug(`Window ${windowId} is not tiled, nothing to move`);
+            return;
+        }
+
+        const previousRect = state.rect;
+        const orientation = direction === 'left' || direction === 'right' ? 'horizontal' : 'vertical';
+        const forward = direction === 'right' || direction === 'bottom';
+
+        const neighbor = this._pickNeighbor(state.rect, this._stateStore.getNeighbors(windowId, direction),
+            direction, this._getRecentUseRanks());
+
+        if (neighbor) {
+            this._transact('move', () => this._tileInto(metaWindow, layout.monitorIndex, 'moved',
+                (target, id) => this._layoutEngine.insertBeside(target,
+                    findLeaf(target.root, neighbor.id), id, orientation, forward)));
+        } else {
+            const monitorIndex = GnomeCompat.getMonitorNeighbor(layout.monitorIndex, direction);
+            if (monitorIndex < 0) {
+                this._logger.debug(`Window ${windowId} is at the ${direction} edge already`);
+                return;
+            }
+
+            this._transact('move', () => this._tileInto(metaWindow, monitorIndex, 'moved',
+                (target, id) => target.root
+                    ? this._layoutEngine.insertBeside(target, target.root, id, orientation, !forward)
+                    : createLeaf(id)));
+        }
+
+        this._logger.info(`Moved window ${windowId} ${direction}`);
+        this._swapOverlay.flash(this._stateStore.getWindow(windowId).rect, previousRect);
+    }
+
+    /**
+     * Move a tiled window into the slot of another tiled window
+     *
+     * The window is inserted beside the other one along its longer
+     * side, on the side the window comes from, and shares its space.
+     * @param {number} windowId
+     * @param {number} targetId
+     */
+    moveInto(windowId, targetId) {
+        const state = this._stateStore.getWindow(windowId);
+        const target = this._stateStore.getWindow(targetId);
+        const targetLayout = this._stateStore.findLayout(targetId);
+        const metaWindow = this._findMetaWindow(windowId);
+        if (windowId === targetId || !state?.isTiled || !target?.isTiled || !targetLayout || !metaWindow) {
+            this._logger.debug(`Can't move window ${windowId} into the slot of ${targetId}`);
+            return;
+        }
+
+        const previousRect = state.rect;
+        const horizontal = target.rect.width >= target.rect.height;
+        const center = getCenter(state.rect);
+        const targetCenter = getCenter(target.rect);
+        const after = horizontal ? center.x > targetCenter.x : center.y > targetCenter.y;
+
+        this._transact('move', () => this._tileInto(metaWindow, targetLayout.monitorIndex, 'moved',
+            (layout, id) => this._layoutEngine.insertBeside(layout, findLeaf(layout.root, targetId), id,
+                horizontal ? 'horizontal' : 'vertical', after)));
+
+        this._logger.info(`Moved window ${windowId} into the slot of ${targetId}`);
+        this._swapOverlay.flash(this._stateStore.getWindow(windowId).rect, previousRect);
+    }
+
+    /**
+     * Grow or shrink a tiled window by moving its edge in a direction
+     * by the resize step; the neighbors on that side give or take the
+     * space. The layout tree then follows, as after a mouse resize.
+     * @param {number} windowId
+     * @param {import('../utils/Geometry.js').Direction} direction
+     * @param {boolean} grow - false to move the edge inwards
+     */
+    resizeDirection(windowId, direction, grow) {
+        const metaWindow = this._findMetaWindow(windowId);
+        if (!metaWindow) return;
+
+        const delta = (grow ? 1 : -1) * this._settings.resizeStep;
+        if (!this._resizeHandler.resizeEdge(metaWindow, direction, delta)) {
+            this._logger.debug(`Can't move the ${direction} edge of window ${windowId}`);
+        }
+    }
+
+    /**
+     * Switch the layout of a monitor on the active workspace to another
+     * mode, overriding the layout-mode setting for it
+     * @param {number} monitorIndex
+     * @param {import('./LayoutEngine.js').LayoutMode|null} mode - null to follow the setting again
+     */
+    setLayoutMode(monitorIndex, mode) {
+        const layout = this._stateStore.getLayout(monitorIndex);
+        if (layout.mode === mode) return;
+
+        this._transact('layout-mode', () => {
+            layout.mode = mode;
+            if (layout.root) {
+                this._applyLayout(monitorIndex);
+            }
+        });
+
+        this._logger.info(`Layout mode of monitor ${monitorIndex}: ${mode ?? 'from settings'}`);
     }
 
     /**
-     * Untile a window (restore to original position)
-     * @param {number} windowId
+     * @returns {Map<number, number>} Position of each window in the
+     *     most-recently-used order of the active workspace (0: current)
+     * @private
      */
-    untileWindow(windowId) {
-        const state = this._stateStore.getWindow(windowId);
-        if (!state?.originalRect) return;
+    _getRecentUseRanks() {
+        return new Map(GnomeCompat.getWindowsByRecentUse()
+            .map((metaWindow, rank) => [metaWindow.get_stable_sequence(), rank]));
+    }
 
-        const metaWindow = this._findMetaWindow(windowId);
-        if (!metaWindow) return;
+    /**
+     * Choose the window sharing the longest edge with a rect, the most
+     * recently used one among edges of (about) the same length
+     * @param {import('../utils/Geometry.js').Rect} rect
+     * @param {import('./StateStore.js').WindowState[]} candidates
+     * @param {import('../utils/Geometry.js').Direction} direction
+     * @param {Map<number, number>} ranks - See _getRecentUseRanks()
+     * @returns {import('./StateStore.js').WindowState|null}
+     * @private
+     */
+    _pickNeighbor(rect, candidates, direction, ranks) {
+        if (candidates.length === 0) return null;
 
-        GnomeCompat.moveResizeWindow(metaWindow, state.originalRect);
-        this._stateStore.removeWindow(windowId);
+        const overlaps = new Map(candidates.map(c => [c.id, getEdgeOverlap(rect, c.rect, direction)]));
+        const longest = Math.max(...overlaps.values());
+        const rank = c => ranks.get(c.id) ?? ranks.size;
 
-        // Redistribute remaining windows
-        this._redistributeAfterRemoval();
+        return candidates
+            .filter(c => longest - overlaps.get(c.id) <= this._settings.edgeTolerance)
+            .sort((a, b) => rank(a) - rank(b))[0];
+    }
 
-        this._logger.info(`Untiled window ${windowId}`);
+    /**
+     * Find the window the focus enters on the next monitor in a direction
+     *
+     * That's the window at the edge the focus comes in from, e.g. the
+     * leftmost ones when moving right. Without a monitor in that
+     * direction the focus wraps around to the outermost monitor on the
+     * other side (the same monitor if it is the only one).
+     * @param {import('../utils/Geometry.js').Rect} rect - Rect of the window the focus leaves
+     * @param {number} monitorIndex - Monitor the focus leaves
+     * @param {import('../utils/Geometry.js').Direction} direction
+     * @param {Map<number, number>} ranks - See _getRecentUseRanks()
+     * @param {boolean} [wrap=true] - Whether to wrap around after the outermost monitor
+     * @returns {import('./StateStore.js').WindowState|null}
+     * @private
+     */
+    _findEnteredWindow(rect, monitorIndex, direction, ranks, wrap = true) {
+        let target = GnomeCompat.getMonitorNeighbor(monitorIndex, direction);
+        if (target < 0 && !wrap) return null;
+
+        if (target < 0) {
+            target = monitorIndex;
+            for (let i = 0; i < GnomeCompat.getMonitorCount(); i++) {
+                const next = GnomeCompat.getMonitorNeighbor(target, OPPOSITE_DIRECTIONS[direction]);
+                if (next < 0) break;
+                target = next;
+            }
+        }
+
+        const windows = this._stateStore.getTiledWindows(target);
+        if (windows.length === 0) return null;
+
+        // Distance of each window from the edge the focus enters at
+        const distance = w => ({
+            left: -getRightEdge(w.rect),
+            right: w.rect.x,
+            top: -getBottomEdge(w.rect),
+            bottom: w.rect.y,
+        })[direction];
+        const nearest = Math.min(...windows.map(distance));
+
+        return this._pickNeighbor(rect,
+            windows.filter(w => distance(w) - nearest <= this._settings.edgeTolerance),
+            direction, ranks);
+    }
+
+    /**
+     * Tile every managed window on the active workspace, except those
+     * floated with toggleTiled()
+     *
+     * The layout of each monitor is replaced by equal columns, keeping
+     * the windows' current left-to-right order. Windows that were
+     * floating remember their position so floatAll() can restore it.
+     */
+    tileAll() {
+        this._transact('tile-all', () => {
+            const workspaceIds = new Set(GnomeCompat.getWorkspaceWindows()
+                .map(w => w.get_stable_sequence()));
+
+            /** @type {Map<number, Meta.Window[]>} */
+            const byMonitor = new Map();
+
+            for (const tracked of this.getManagedWindows()) {
+                const metaWindow = tracked.metaWindow;
+                if (!workspaceIds.has(tracked.id) || GnomeCompat.isMinimized(metaWindow) ||
+                    this._stateStore.isFloating(tracked.id)) {
+                    continue;
+                }
+
+                const monitorIndex = GnomeCompat.getWindowMonitor(metaWindow);
+                if (!byMonitor.has(monitorIndex)) {
+                    byMonitor.set(monitorIndex, []);
+                }
+                byMonitor.get(monitorIndex).push(metaWindow);
+            }
+
+            for (const [monitorIndex, windows] of byMonitor) {
+                windows.sort((a, b) => GnomeCompat.getWindowRect(a).x - GnomeCompat.getWindowRect(b).x);
+
+                const windowIds = windows.map(w => w.get_stable_sequence());
+                const previousIds = getWindowIds(this._stateStore.getLayout(monitorIndex).root);
+
+                for (const [i, metaWindow] of windows.entries()) {
+                    const original = this._getOriginalPlacement(metaWindow);
+
+                    this._stateStore.removeFromLayout(windowIds[i]);
+                    this._stateStore.setWindow(windowIds[i], {
+                        ...original,
+                        zone: 'tiled',
+                        isTiled: true,
+                    });
+                }
+
+                // Windows left in the old layout (e.g. minimized ones) stop being tiled
+                for (const id of previousIds.filter(id => !windowIds.includes(id))) {
+                    this._stateStore.removeWindow(id);
+                }
+
+                this._stateStore.setLayoutRoot(monitorIndex, buildChain(windowIds, 'horizontal'));
+                this._applyLayout(monitorIndex);
+
+                this._logger.info(`Tiled ${windows.length} windows on monitor ${monitorIndex}`);
+            }
+
+            if (this._settings.debug) {
+                this._stateStore.debugPrint();
+            }
+        });
+    }
+
+    /**
+     * Float every tiled window on the active workspace, restoring
+     * the position each had before it was tiled
+     */
+    floatAll() {
+        this._transact('float-all', () => {
+            let floated = 0;
+
+            for (const tiled of this._stateStore.getTiledWindows()) {
+                const metaWindow = this._findMetaWindow(tiled.id);
+                if (!metaWindow) continue;
+
+                this._restoreOriginalPlacement(metaWindow, tiled);
+                this._stateStore.removeWindow(tiled.id);
+                floated++;
+            }
+
+            this._logger.info(`Floated ${floated} windows`);
+        });
+    }
+
+    /**
+     * Revert the last recorded layout operation
+     * @returns {boolean} Whether there was an operation to undo
+     */
+    undo() {
+        const transaction = this._history.undo();
+        if (!transaction) {
+            this._logger.debug('Nothing to undo');
+            return false;
+        }
+
+        this._logger.info(`Undoing ${transaction.label}`);
+        this._applyCapture(transaction, transaction.before, transaction.after);
+        return true;
+    }
+
+    /**
+     * Perform the last undone layout operation again
+     * @returns {boolean} Whether there was an operation to redo
+     */
+    redo() {
+        const transaction = this._history.redo();
+        if (!transaction) {
+            this._logger.debug('Nothing to redo');
+            return false;
+        }
+
+        this._logger.info(`Redoing ${transaction.label}`);
+        this._applyCapture(transaction, transaction.after, transaction.before);
+        return true;
+    }
+
+    /**
+     * Run a layout operation as one undoable transaction
+     *
+     * Operations started from within another one (e.g. the
+     * redistribution after an untile) are part of the outer transaction.
+     * @template T
+     * @param {string} label - Name of the operation
+     * @param {function(): T} operation
+     * @returns {T}
+     * @private
+     */
+    _transact(label, operation) {
+        if (this._transactionDepth > 0) return operation();
+
+        const before = this._stateStore.capture();
+        this._transactionDepth++;
+
+        try {
+            return operation();
+        } finally {
+            this._transactionDepth--;
+            this._recordTransaction(label, before, this._stateStore.capture());
+        }
+    }
+
+    /**
+     * Record what an operation changed, if anything
+     *
+     * Pixel rects and neighbors are left out of the comparison; they
+     * follow from the layout trees.
+     * @param {string} label
+     * @param {import('./StateStore.js').StateCapture} before
+     * @param {import('./StateStore.js').StateCapture} after
+     * @private
+     */
+    _recordTransaction(label, before, after) {
+        const describeLayout = layout =>
+            JSON.stringify([layout?.root ?? null, layout?.mode ?? null, layout?.masterRatio ?? null]);
+        const describeWindow = state => {
+            if (!state) return 'none';
+            const { rect: _rect, neighbors: _neighbors, ...rest } = state;
+            return JSON.stringify(rest);
+        };
+
+        const layoutKeys = [...new Set([...before.layouts.keys(), ...after.layouts.keys()])]
+            .filter(key => describeLayout(before.layouts.get(key)) !== describeLayout(after.layouts.get(key)));
+        const windowIds = [...new Set([...before.windows.keys(), ...after.windows.keys()])]
+            .filter(id => describeWindow(before.windows.get(id)) !== describeWindow(after.windows.get(id)));
+
+        if (layoutKeys.length === 0 && windowIds.length === 0) return;
+
+        this._history.record({ label, before, after, layoutKeys, windowIds });
+    }
+
+    /**
+     * Bring the layouts and windows a transaction changed into the state
+     * of one of its captures
+     *
+     * Windows closed since are left out. Windows tiled elsewhere since
+     * leave that layout, and windows that float in the target state go
+     * back to their position from before they were tiled.
+     * @param {import('./History.js').Transaction} transaction
+     * @param {import('./StateStore.js').StateCapture} target - Capture to restore
+     * @param {import('./StateStore.js').StateCapture} current - The transaction's other capture
+     * @private
+     */
+    _applyCapture(transaction, target, current) {
+        const { layoutKeys, windowIds } = transaction;
+        const restored = layoutKeys.map(key => target.layouts.get(key) ?? current.layouts.get(key));
+        const isRestored = layout => restored.some(r =>
+            r.workspaceIndex === layout.workspaceIndex && r.monitorIndex === layout.monitorIndex);
+
+        /** @type {import('./StateStore.js').Layout[]} */
+        const borrowers = [];
+        for (const key of layoutKeys) {
+            for (const id of getWindowIds(target.layouts.get(key)?.root ?? null)) {
+                const other = this._stateStore.findLayout(id);
+                if (other && !isRestored(other)) {
+                    this._stateStore.removeFromLayout(id);
+                    borrowers.push(other);
+                }
+            }
+        }
+
+        this._stateStore.restore(target, layoutKeys, windowIds);
+
+        for (const layout of restored) {
+            const ids = getWindowIds(this._stateStore.getLayout(layout.monitorIndex, layout.workspaceIndex).root);
+            for (const id of ids.filter(id => !this._windowTracker.getWindow(id))) {
+                this._stateStore.removeWindow(id);
+            }
+        }
+
+        for (const id of windowIds) {
+            const previous = current.windows.get(id);
+            const metaWindow = this._windowTracker.getWindow(id)?.metaWindow;
+
+            if (!metaWindow) {
+                this._stateStore.removeWindow(id);
+            } else if (!target.windows.get(id)?.isTiled && previous?.isTiled) {
+                this._restoreOriginalPlacement(metaWindow, previous);
+            }
+        }
+
+        for (const layout of new Set([...restored, ...borrowers])) {
+            this._applyLayout(layout.monitorIndex, layout.workspaceIndex);
+        }
+    }
+
+    /**
+     * Save the arrangement of the active workspace as a named snapshot,
+     * replacing any snapshot of the same name
+     * @param {string} name
+     */
+    saveSnapshot(name) {
+        const workspaceIndex = this._stateStore.getActiveWorkspace();
+        const { layouts, windows } = this._stateStore.serialize();
+
+        const workspaceLayouts = layouts.filter(layout => layout.workspaceIndex === workspaceIndex);
+        const ids = new Set(workspaceLayouts.flatMap(layout => getWindowIds(layout.root)));
+
+        const snapshot = {
+            savedAt: Date.now(),
+            layouts: workspaceLayouts.map(layout => this._describeLayout(layout)),
+            windows: windows
+                .filter(state => ids.has(state.id))
+                .map(state => this._describeWindow(state))
+                .filter(saved => saved),
+        };
+
+        this._settings.layoutSnapshots = {
+            ...this._settings.layoutSnapshots,
+            [name]: JSON.stringify(snapshot),
+        };
+
+        this._logger.info(`Saved snapshot "${name}" with ${snapshot.windows.length} windows`);
+    }
+
+    /**
+     * Arrange the active workspace as recorded in a snapshot
+     *
+     * Windows of the workspace are matched to the recorded ones by
+     * WM_CLASS and title, then by WM_CLASS alone, and moved into their
+     * recorded slots. Windows already tiled on a restored monitor but not
+     * part of the snapshot are added at the end. Apps of recorded windows
+     * that have no match are launched if requested; their windows are put
+     * into place as they appear.
+     * @param {string} name
+     * @param {boolean} [launchMissing] - Defaults to the snapshot-launch-apps setting
+     * @returns {boolean} Whether the snapshot exists
+     */
+    restoreSnapshot(name, launchMissing = this._settings.snapshotLaunchApps) {
+        const snapshot = this._loadSnapshot(name);
+        if (!snapshot) return false;
+
+        const workspaceIndex = this._stateStore.getActiveWorkspace();
+        const candidates = this.getManagedWindows().filter(tracked =>
+            GnomeCompat.getWindowWorkspace(tracked.metaWindow) === workspaceIndex);
+
+        const matches = this._matchWindows(snapshot.windows, candidates, [
+            (saved, c) => c.wmClass === saved.wmClass && c.metaWindow.get_title() === saved.title,
+            (saved, c) => c.wmClass === saved.wmClass,
+        ]);
+
+        this._transact('restore-snapshot', () => this._placeSnapshot(snapshot, matches, workspaceIndex));
+
+        const missing = snapshot.windows.filter(saved => !matches.has(saved.id));
+        this._logger.info(
+            `Restored snapshot "${name}": ${matches.size} windows placed, ${missing.length} missing`
+        );
+
+        if (launchMissing && missing.length > 0) {
+            this._launchMissingApps(name, missing);
+        }
+
+        return true;
+    }
+
+    /**
+     * Move matched windows into the slots recorded in a snapshot
+     * @param {{layouts: import('../services/StatePersistence.js').SavedLayout[],
+     *     windows: import('../services/StatePersistence.js').SavedWindow[]}} snapshot
+     * @param {Map<number, Meta.Window>} matches - Recorded window ID → window
+     * @param {number} workspaceIndex - Workspace to arrange
+     * @private
+     */
+    _placeSnapshot(snapshot, matches, workspaceIndex) {
+        const savedStates = new Map(snapshot.windows.map(w => [w.id, w.state]));
+
+        /** @type {Set<import('./StateStore.js').Layout>} */
+        const changed = new Set();
+
+        for (const savedLayout of snapshot.layouts) {
+            const monitorIndex = this._findSavedMonitor(savedLayout);
+            if (monitorIndex < 0) continue;
+
+            const layout = this._stateStore.getLayout(monitorIndex, workspaceIndex);
+            const root = mapWindowIds(savedLayout.root,
+                savedId => matches.get(savedId)?.get_stable_sequence() ?? null);
+
+            // Matched windows leave the layouts they are tiled in now
+            for (const [savedId, metaWindow] of matches) {
+                const id = metaWindow.get_stable_sequence();
+                if (!root || !findLeaf(root, id)) continue;
+
+                const original = this._getOriginalPlacement(metaWindow);
+                const current = this._stateStore.findLayout(id);
+                if (current) {
+                    this._stateStore.removeFromLayout(id);
+                    changed.add(current);
+                }
+
+                const saved = savedStates.get(savedId);
+                this._stateStore.setWindow(id, {
+                    ...original,
+                    zone: saved?.zone ?? 'snapshot',
+                    snapRatio: saved?.snapRatio,
+                    isTiled: true,
+                });
+            }
+
+            const others = getWindowIds(layout.root);
+
+            layout.mode = savedLayout.mode;
+            layout.masterRatio = savedLayout.masterRatio;
+            this._stateStore.setLayoutRoot(monitorIndex, root, workspaceIndex);
+
+            for (const id of others) {
+                this._stateStore.setLayoutRoot(monitorIndex, this._appendToLayout(layout, id), workspaceIndex);
+            }
+
+            changed.add(layout);
+        }
+
+        for (const layout of changed) {
+            this._applyLayout(layout.monitorIndex, layout.workspaceIndex);
+        }
+    }
+
+    /**
+     * Delete a named snapshot
+     * @param {string} name
+     */
+    deleteSnapshot(name) {
+        const snapshots = { ...this._settings.layoutSnapshots };
+        if (!(name in snapshots)) return;
+
+        delete snapshots[name];
+        this._settings.layoutSnapshots = snapshots;
+
+        this._logger.info(`Deleted snapshot "${name}"`);
+    }
+
+    /**
+     * @returns {string[]} Names of the saved snapshots, sorted
+     */
+    getSnapshotNames() {
+        return Object.keys(this._settings.layoutSnapshots).sort();
+    }
+
+    /**
+     * Read a snapshot from the settings
+     * @param {string} name
+     * @returns {{layouts: import('../services/StatePersistence.js').SavedLayout[],
+     *     windows: import('../services/StatePersistence.js').SavedWindow[]}|null}
+     * @private
+     */
+    _loadSnapshot(name) {
+        const json = this._settings.layoutSnapshots[name];
+        if (!json) {
+            this._logger.warn(`No snapshot named "${name}"`);
+            return null;
+        }
+
+        try {
+            return JSON.parse(json);
+        } catch (e) {
+            this._logger.error(`Snapshot "${name}" can't be read:`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Launch the apps of recorded windows that were not found, and
+     * restore the snapshot again whenever one of their windows appears
+     * @param {string} name
+     * @param {import('../services/StatePersistence.js').SavedWindow[]} missing
+     * @private
+     */
+    _launchMissingApps(name, missing) {
+        const appIds = new Set(missing.map(saved => saved.appId).filter(appId => appId));
+        for (const appId of appIds) {
+            GnomeCompat.launchApp(appId);
+        }
+
+        this._clearPendingSnapshot();
+        this._pendingSnapshot = { name, wmClasses: new Set(missing.map(saved => saved.wmClass)) };
+
+        // Apps that take longer to start are left floating
+        this._pendingSnapshotTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT,
+            SNAPSHOT_LAUNCH_TIMEOUT, () => {
+                this._pendingSnapshotTimeoutId = 0;
+                this._pendingSnapshot = null;
+                return GLib.SOURCE_REMOVE;
+            });
     }
 
+    /**
+     * Stop waiting for the windows of launched apps
+     * @private
+     */
+    _clearPendingSnapshot() {
+        if (this._pendingSnapshotTimeoutId) {
+            GLib.source_remove(this._pendingSnapshotTimeoutId);
+            this._pendingSnapshotTimeoutId = 0;
+        }
+        this._pendingSnapshot = null;
+    }
 
     /**
      * Handle swap detected (when a window is dragged over another)
@@ -440,21 +2317,27 @@ export class TileManager {
 
         this._logger.info(`Swapping windows: ${event.targetWindowId}`);
 
-        const draggedWindowId = event.draggedWindow.get_stable_sequence();
-        const targetWindowId = event.targetWindowId;
+        this._transact('swap', () =>
+            this._swapWindows(event.draggedWindow.get_stable_sequence(), event.targetWindowId));
+    }
 
-        // Get target window Meta.Window
-        const targetMetaWindow = this._findMetaWindow(targetWindowId);
-        if (!targetMetaWindow) {
-            this._logger.warn('Target window not found for swap');
+    /**
+     * Exchange the places of two tiled windows
+     * @param {number} draggedWindowId
+     * @param {number} targetWindowId
+     * @private
+     */
+    _swapWindows(draggedWindowId, targetWindowId) {
+        const draggedLayout = this._stateStore.findLayout(draggedWindowId);
+        const targetLayout = this._stateStore.findLayout(targetWindowId);
+        if (!draggedLayout || !targetLayout) {
+            this._logger.warn('Window not found in a layout for swap');
             return;
         }
 
-        // Move dragged window to target's position
-        GnomeCompat.moveResizeWindow(event.draggedWindow, event.draggedTargetRect);
-
-        // Move target window to dragged's original position
-        GnomeCompat.moveResizeWindow(targetMetaWindow, event.targetNewRect);
+        // Exchange the windows' places in the tree(s)
+        swapLeaves(findLeaf(draggedLayout.root, draggedWindowId),
+            findLeaf(targetLayout.root, targetWindowId));
 
         // Update state
         const draggedState = this._stateStore.getWindow(draggedWindowId);
@@ -462,28 +2345,57 @@ export class TileManager {
 
         if (draggedState) {
             this._stateStore.setWindow(draggedWindowId, {
-                rect: event.draggedTargetRect,
                 zone: targetState?.zone ?? 'swapped',
+                snapRatio: targetState?.snapRatio,
             });
         }
 
         if (targetState) {
             this._stateStore.setWindow(targetWindowId, {
-                rect: event.targetNewRect,
                 zone: draggedState?.zone ?? 'swapped',
+                snapRatio: draggedState?.snapRatio,
             });
         }
 
-        // Recalculate neighbors
-        this._stateStore.recalculateNeighbors();
+        // Move both windows to their new slots
+        this._applyLayout(targetLayout.monitorIndex, targetLayout.workspaceIndex);
+        if (draggedLayout !== targetLayout) {
+            this._applyLayout(draggedLayout.monitorIndex, draggedLayout.workspaceIndex);
+        }
 
         this._logger.info('Swap complete');
 
-        if (CONFIG.DEBUG) {
+        if (this._settings.debug) {
             this._stateStore.debugPrint();
         }
     }
 
+    /**
+     * Swap a window with the master of its layout
+     *
+     * A window that already is a master swaps with the first stack window
+     * instead, so promoting it again brings the previous master back.
+     * @param {number} windowId
+     */
+    promoteToMaster(windowId) {
+        const layout = this._stateStore.findLayout(windowId);
+        if (!layout) {
+            this._logger.debug(`Window ${windowId} is not tiled, nothing to promote`);
+            return;
+        }
+
+        // A master trades places with the first window that isn't one
+        const masterIds = this._layoutEngine.getMasterIds(layout);
+        const targetId = masterIds.includes(windowId)
+            ? getWindowIds(layout.root).find(id => !masterIds.includes(id))
+            : masterIds[0];
+
+        if (targetId === undefined) return;
+
+        this._logger.info(`Promoting window ${windowId} to master`);
+        this._transact('promote', () => this._swapWindows(windowId, targetId));
+    }
+
     /**
      * Handle potential swap target change (show/hide overlay)
      * @param {number|null} targetId - The window we're hovering over
@@ -535,268 +2447,136 @@ export class TileManager {
 
         this._logger.info(`Insert detected at ${event.zone.orientation} boundary`);
 
-        // Get all tiled windows on this monitor
-        const insertedWindow = event.window;
-        const insertedWindowId = insertedWindow.get_stable_sequence();
-        const monitorIndex = GnomeCompat.getWindowMonitor(insertedWindow);
-        const workArea = GnomeCompat.getWorkArea(monitorIndex);
-        const gap = CONFIG.INNER_GAP;
-
-        // Get all tiled windows on this monitor
-        // Filter out windows that no longer exist
-        const workspaceWindows = GnomeCompat.getWorkspaceWindows();
-        const existingIds = new Set(workspaceWindows.map(w => w.get_stable_sequence()));
-        const tiledWindows = this._stateStore.getTiledWindows()
-            .filter(w => w.id !== insertedWindowId && existingIds.has(w.id));
-
-        if (tiledWindows.length === 0) {
-            // No tiled windows - just maximize the new one
-            const rect = this._layoutEngine.calculateSnapRect('maximize', monitorIndex);
-            GnomeCompat.moveResizeWindow(insertedWindow, rect);
-            this._stateStore.setWindow(insertedWindowId, {
-                rect,
-                originalRect: GnomeCompat.getWindowRect(insertedWindow),
-                zone: 'maximize',
-                isTiled: true,
-            });
+        // The boundary is an edge of the first affected window
+        const [targetId] = event.zone.affectedWindowIds;
+        const target = this._stateStore.getWindow(targetId);
+        const targetLayout = this._stateStore.findLayout(targetId);
+        if (!target || !targetLayout) {
+            this._logger.warn('Insert target not found in a layout');
             return;
         }
 
-        // Sort existing windows by X position
-        tiledWindows.sort((a, b) => a.rect.x - b.rect.x);
-
-        // Total windows after insert
-        const totalWindows = tiledWindows.length + 1;
-
-        // Available width for all windows (including new one)
-        // Available = workArea - outer gaps (2) - inner gaps (totalWindows - 1)
-        const totalGapSpace = gap * 2 + gap * (totalWindows - 1);
-        const availableWidth = workArea.width - totalGapSpace;
-
-        // New window gets proportional share (1/totalWindows of available)
-        let newWindowWidth = Math.max(CONFIG.MIN_WINDOW_WIDTH, Math.floor(availableWidth / totalWindows));
+        const position = event.zone.position;
+        const after = Math.abs(getRightEdge(target.rect) - position) <= Math.abs(target.rect.x - position);
+        const monitorIndex = targetLayout.monitorIndex;
 
-        // Calculate proportional widths for existing windows
-        const currentTotalWidth = tiledWindows.reduce((sum, w) => sum + w.rect.width, 0);
-        const remainingWidth = availableWidth - newWindowWidth;
-        const scaleFactor = remainingWidth / currentTotalWidth;
+        this._transact('insert', () => this._tileInto(event.window, monitorIndex, 'inserted', (layout, windowId) => {
+            const column = this._getColumnNode(layout.root, findLeaf(layout.root, targetId));
+            return this._layoutEngine.insertBeside(layout, column, windowId, 'horizontal', after);
+        }));
 
-        // Calculate scaled widths and enforce minimum
-        const windowWidths = [];
-        let widthAfterMinEnforcement = 0;
-        let windowsAtMinWidth = 0;
+        this._scheduleOverlapCorrection(monitorIndex);
 
-        for (const tiled of tiledWindows) {
-            let scaledWidth = Math.floor(tiled.rect.width * scaleFactor);
-
-            if (scaledWidth < CONFIG.MIN_WINDOW_WIDTH) {
-                scaledWidth = CONFIG.MIN_WINDOW_WIDTH;
-                windowsAtMinWidth++;
-            }
+        this._logger.info('Insert complete');
 
-            windowWidths.push(scaledWidth);
-            widthAfterMinEnforcement += scaledWidth;
+        if (this._settings.debug) {
+            this._stateStore.debugPrint();
         }
+    }
 
-        // If min width enforcement made total too wide, shrink windows that aren't at min
-        const excessWidth = (widthAfterMinEnforcement + newWindowWidth) - availableWidth;
-        if (excessWidth > 0 && windowsAtMinWidth < tiledWindows.length) {
-            // Distribute excess reduction among windows not at minimum
-            const windowsToShrink = tiledWindows.length - windowsAtMinWidth;
-            const shrinkPerWindow = Math.ceil(excessWidth / windowsToShrink);
+    /**
+     * Get the column a leaf belongs to
+     *
+     * Windows stacked above each other share their left and right edges,
+     * so inserting at such an edge affects the whole stack.
+     * @param {import('./LayoutTree.js').LayoutNode} root
+     * @param {import('./LayoutTree.js').LeafNode} leaf
+     * @returns {import('./LayoutTree.js').LayoutNode}
+     * @private
+     */
+    _getColumnNode(root, leaf) {
+        let node = leaf;
+        let parent = findParent(root, node);
 
-            for (let i = 0; i < windowWidths.length; i++) {
-                if (windowWidths[i] > CONFIG.MIN_WINDOW_WIDTH) {
-                    windowWidths[i] = Math.max(CONFIG.MIN_WINDOW_WIDTH, windowWidths[i] - shrinkPerWindow);
-                }
-            }
+        while (parent && parent.orientation === 'vertical') {
+            node = parent;
+            parent = findParent(root, node);
         }
 
-        this._logger.info(`Insert: ${totalWindows} windows, new=${newWindowWidth}px, excess=${excessWidth}px`);
-
-        // Find insert position based on zone
-        let insertIndex = 0;
-        for (let i = 0; i < tiledWindows.length; i++) {
-            if (event.zone.position < tiledWindows[i].rect.x + tiledWindows[i].rect.width / 2) {
-                insertIndex = i;
-                break;
-            }
-            insertIndex = i + 1;
-        }
-
-        // Reposition all windows
-        let currentX = workArea.x + gap;
-        let windowIndex = 0;
-
-        for (let i = 0; i < totalWindows; i++) {
-            if (i === insertIndex) {
-                // Insert the new window here
-                const rect = {
-                    x: currentX,
-                    y: workArea.y + gap,
-                    width: newWindowWidth,
-                    height: workArea.height - gap * 2,
-                };
-
-                GnomeCompat.moveResizeWindow(insertedWindow, rect);
-                this._stateStore.setWindow(insertedWindowId, {
-                    rect,
-                    originalRect: GnomeCompat.getWindowRect(insertedWindow),
-                    zone: 'inserted',
-                    isTiled: true,
-                });
-
-                currentX += newWindowWidth + gap;
-            } else {
-                // Existing window
-                const tiled = tiledWindows[windowIndex];
-                const width = windowWidths[windowIndex];
-
-                const rect = {
-                    x: currentX,
-                    y: workArea.y + gap,
-                    width: width,
-                    height: workArea.height - gap * 2,
-                };
-
-                const metaWindow = this._findMetaWindow(tiled.id);
-                if (metaWindow) {
-                    GnomeCompat.moveResizeWindow(metaWindow, rect);
-                    this._stateStore.setWindow(tiled.id, { rect });
-                }
+        return node;
+    }
 
-                currentX += width + gap;
-                windowIndex++;
-            }
+    /**
+     * Handle the end of a resize
+     *
+     * ResizeHandler has already moved the neighbors, so the split ratios
+     * are taken from the resulting rects.
+     * @param {number} windowId
+     * @param {number} monitorIndex
+     * @private
+     */
+    _onResizeComplete(windowId, monitorIndex) {
+        const layout = this._stateStore.findLayout(windowId);
+        if (!layout) return;
+
+        /** @type {Map<number, import('../utils/Geometry.js').Rect>} */
+        const rects = new Map();
+        for (const id of getWindowIds(layout.root)) {
+            const state = this._stateStore.getWindow(id);
+            if (state) rects.set(id, state.rect);
         }
 
-        // Recalculate neighbors
-        this._stateStore.recalculateNeighbors();
-
-        // Post-correction: Read actual positions and fix any overlaps
-        // The system may have enforced minimum widths
-        this._correctLayoutOverlaps(insertedWindowId, monitorIndex);
-
-        this._logger.info('Insert complete');
+        this._transact('resize', () => {
+            this._layoutEngine.fitToWindowRects(layout, rects);
+            this._applyLayout(layout.monitorIndex, layout.workspaceIndex);
+        });
 
-        if (CONFIG.DEBUG) {
-            this._stateStore.debugPrint();
-        }
+        this._logger.debug(`Updated layout of monitor ${layout.monitorIndex} after resize`);
     }
 
     /**
-     * Correct layout overlaps after insert/resize
-     * Reads actual window positions and adjusts to eliminate overlaps
-     * @param {number} primaryWindowId - The window that was just inserted/resized
+     * Check a layout for overlaps once its windows had time to resize
      * @param {number} monitorIndex
      * @private
      */
-    _correctLayoutOverlaps(primaryWindowId, monitorIndex) {
-        const workArea = GnomeCompat.getWorkArea(monitorIndex);
-        const gap = CONFIG.INNER_GAP;
-
-        // Get all tiled windows and read their ACTUAL positions
-        const workspaceWindows = GnomeCompat.getWorkspaceWindows();
-        const existingIds = new Set(workspaceWindows.map(w => w.get_stable_sequence()));
+    _scheduleOverlapCorrection(monitorIndex) {
+        if (this._correctionTimeoutIds.has(monitorIndex)) {
+            GLib.source_remove(this._correctionTimeoutIds.get(monitorIndex));
+        }
 
-        const tiledStates = this._stateStore.getTiledWindows()
-            .filter(w => existingIds.has(w.id));
+        this._correctionTimeoutIds.set(monitorIndex,
+            GLib.timeout_add(GLib.PRIORITY_DEFAULT, 250, () => {
+                this._correctionTimeoutIds.delete(monitorIndex);
+                this._correctLayoutOverlaps(monitorIndex);
+                return GLib.SOURCE_REMOVE;
+            }));
+    }
 
-        if (tiledStates.length < 2) return;
+    /**
+     * Correct layout overlaps after insert
+     *
+     * Reads actual window positions; if windows overlap (e.g. because an
+     * app enforces a larger minimum size than it was given), the split
+     * ratios are fitted to the actual sizes and the layout is re-applied.
+     * @param {number} monitorIndex
+     * @private
+     */
+    _correctLayoutOverlaps(monitorIndex) {
+        const layout = this._stateStore.getLayout(monitorIndex);
 
-        // Read actual positions from windows
-        const actualWindows = [];
-        for (const state of tiledStates) {
-            const metaWindow = this._findMetaWindow(state.id);
+        /** @type {Map<number, import('../utils/Geometry.js').Rect>} */
+        const actualRects = new Map();
+        for (const id of getWindowIds(layout.root)) {
+            const metaWindow = this._findMetaWindow(id);
             if (metaWindow) {
-                const actualRect = GnomeCompat.getWindowRect(metaWindow);
-                actualWindows.push({
-                    id: state.id,
-                    metaWindow,
-                    rect: actualRect,
-                    isPrimary: state.id === primaryWindowId,
-                });
+                actualRects.set(id, GnomeCompat.getWindowRect(metaWindow));
             }
         }
 
-        // Sort by X position
-        actualWindows.sort((a, b) => a.rect.x - b.rect.x);
-
-        // Check for overlaps and fix them
-        let needsCorrection = false;
-        for (let i = 0; i < actualWindows.length - 1; i++) {
-            const current = actualWindows[i];
-            const next = actualWindows[i + 1];
+        const entries = [...actualRects];
+        const overlapping = entries.some(([idA, a], i) =>
+            entries.slice(i + 1).some(([idB, b]) => {
+                if (getOverlapArea(a, b) === 0) return false;
+                this._logger.debug(`Overlap detected: ${idA} overlaps ${idB}`);
+                return true;
+            }));
 
-            const currentRightEdge = current.rect.x + current.rect.width;
-            const expectedGap = gap;
-            const actualGap = next.rect.x - currentRightEdge;
-
-            if (actualGap < expectedGap - 5) { // Some tolerance
-                needsCorrection = true;
-                this._logger.debug(`Overlap detected: ${current.id} overlaps ${next.id} by ${expectedGap - actualGap}px`);
-            }
-        }
-
-        if (!needsCorrection) return;
+        if (!overlapping) return;
 
         this._logger.info('Correcting layout overlaps...');
 
-        // Redistribute based on actual widths
-        // Keep widths as they are (system enforced), just fix positions
-        let currentX = workArea.x + gap;
-
-        for (const win of actualWindows) {
-            const newX = currentX;
-
-            if (Math.abs(newX - win.rect.x) > 2) {
-                const newRect = {
-                    x: newX,
-                    y: win.rect.y,
-                    width: win.rect.width,
-                    height: win.rect.height,
-                };
-
-                GnomeCompat.moveResizeWindow(win.metaWindow, newRect);
-                this._stateStore.setWindow(win.id, { rect: newRect });
-            }
-
-            currentX += win.rect.width + gap;
-        }
-
-        // If windows don't fit, we need to shrink the primary (new) window
-        const totalUsed = currentX - gap;
-        const overflow = totalUsed - (workArea.x + workArea.width);
-
-        if (overflow > 0) {
-            this._logger.debug(`Layout overflow: ${overflow}px - shrinking primary window`);
-
-            // Find primary window and shrink it
-            const primary = actualWindows.find(w => w.isPrimary);
-            if (primary && primary.rect.width > overflow + CONFIG.MIN_WINDOW_WIDTH) {
-                const newWidth = primary.rect.width - overflow;
-
-                // Update the width in our array
-                primary.rect.width = newWidth;
-
-                // Re-position all windows from left with corrected widths
-                currentX = workArea.x + gap;
-
-                for (const win of actualWindows) {
-                    const rect = {
-                        x: currentX,
-                        y: win.rect.y,
-                        width: win.rect.width,
-                        height: win.rect.height,
-                    };
-
-                    GnomeCompat.moveResizeWindow(win.metaWindow, rect);
-                    this._stateStore.setWindow(win.id, { rect });
-
-                    currentX += win.rect.width + gap;
-                }
-            }
-        }
+        this._layoutEngine.fitToWindowRects(layout, actualRects);
+        this._applyLayout(monitorIndex);
     }
 
     /**
@@ -824,26 +2604,17 @@ export class TileManager {
         this._logger.info(`Gap fill detected: ${event.zone.rect.width}px wide`);
 
         const window = event.window;
-        const windowId = window.get_stable_sequence();
         const gapRect = event.zone.rect;
+        const monitorIndex = GnomeCompat.getWindowMonitor(window);
 
-        // Simply place the window in the gap
-        GnomeCompat.moveResizeWindow(window, gapRect);
-
-        // Track it as tiled
-        this._stateStore.setWindow(windowId, {
-            rect: gapRect,
-            originalRect: GnomeCompat.getWindowRect(window),
-            zone: 'gap-fill',
-            isTiled: true,
-        });
-
-        // Recalculate neighbors
-        this._stateStore.recalculateNeighbors();
+        // The gap is usually an empty slot of the layout
+        this._transact('gap-fill', () => this._tileInto(window, monitorIndex, 'gap-fill', (layout, windowId) =>
+            this._layoutEngine.fillEmptySlot(layout, windowId, getCenter(gapRect)) ??
+            this._layoutEngine.placeAtRect(layout, windowId, gapRect)));
 
         this._logger.info('Gap fill complete');
 
-        if (CONFIG.DEBUG) {
+        if (this._settings.debug) {
             this._stateStore.debugPrint();
         }
     }
@@ -0,0 +1,169 @@
+/**
+ * DBusService - Exposes tiling commands on the session bus
+ *
+ * @description Exports an object on GNOME Shell's bus connection so
+ * commands can be triggered from scripts or other tools, e.g.:
+ *
+ *   gdbus call --session --dest org.gnome.Shell \
+ *       --object-path /org/gnome/Shell/Extensions/GravTile \
+ *       --method org.gnome.Shell.Extensions.GravTile.TileAll
+ */
+
+import Gio from 'gi://Gio';
+
+import { GnomeCompat } from '../utils/GnomeCompat.js';
+
+const OBJECT_PATH = '/org/gnome/Shell/Extensions/GravTile';
+
+const INTERFACE_XML = `
+<node>
+    <interface name="org.gnome.Shell.Extensions.GravTile">
+        <method name="TileAll"/>
+        <method name="FloatAll"/>
+        <method name="PromoteToMaster"/>
+        <method name="ToggleFloating"/>
+        <method name="Undo">
+            <arg type="b" name="undone" direction="out"/>
+        </method>
+        <method name="Redo">
+            <arg type="b" name="redone" direction="out"/>
+        </method>
+        <method name="SaveSnapshot">
+            <arg type="s" name="name" direction="in"/>
+        </method>
+        <method name="RestoreSnapshot">
+            <arg type="s" name="name" direction="in"/>
+            <arg type="b" name="restored" direction="out"/>
+        </method>
+        <method name="DeleteSnapshot">
+            <arg type="s" name="name" direction="in"/>
+        </method>
+        <method name="ListSnapshots">
+            <arg type="as" name="names" direction="out"/>
+        </method>
+    </interface>
+</node>`;
+
+export class DBusService {
+    /** @type {import('../utils/Logger.js').Logger} */
+    _logger;
+
+    /** @type {import('../core/TileManager.js').TileManager} */
+    _tileManager;
+
+    /** @type {Gio.DBusExportedObject|null} */
+    _exported = null;
+
+    /**
+     * @param {import('../utils/Logger.js').Logger} logger
+     * @param {import('../core/TileManager.js').TileManager} tileManager - Receiver of the commands
+     */
+    constructor(logger, tileManager) {
+        this._logger = logger.child('DBusService');
+        this._tileManager = tileManager;
+    }
+
+    /**
+     * Export the command interface
+     */
+    enable() {
+        this._logger.info(`Exporting D-Bus interface at ${OBJECT_PATH}`);
+
+        this._exported = Gio.DBusExportedObject.wrapJSObject(INTERFACE_XML, this);
+        this._exported.export(Gio.DBus.session, OBJECT_PATH);
+    }
+
+    /**
+     * Unexport the command interface
+     */
+    disable() {
+        this._logger.info('Unexporting D-Bus interface');
+
+        this._exported?.unexport();
+        this._exported = null;
+    }
+
+    /**
+     * D-Bus method: tile all windows on the active workspace
+     */
+    TileAll() {
+        this._tileManager.tileAll();
+    }
+
+    /**
+     * D-Bus method: float all tiled windows on the active workspace
+     */
+    FloatAll() {
+        this._tileManager.floatAll();
+    }
+
+    /**
+     * D-Bus method: swap the focused window with the master of its layout
+     */
+    PromoteToMaster() {
+        const focused = GnomeCompat.getFocusedWindow();
+        if (focused) {
+            this._tileManager.promoteToMaster(focused.get_stable_sequence());
+        }
+    }
+
+    /**
+     * D-Bus method: float the focused window if it is tiled, tile it
+     * if it floats
+     */
+    ToggleFloating() {
+        const focused = GnomeCompat.getFocusedWindow();
+        if (focused) {
+            this._tileManager.toggleTiled(focused.get_stable_sequence());
+        }
+    }
+
+    /**
+     * D-Bus method: revert the last layout operation
+     * @returns {boolean} Whether there was an operation to undo
+     */
+    Undo() {
+        return this._tileManager.undo();
+    }
+
+    /**
+     * D-Bus method: perform the last undone layout operation again
+     * @returns {boolean} Whether there was an operation to redo
+     */
+    Redo() {
+        return this._tileManager.redo();
+    }
+
+    /**
+     * D-Bus method: save the arrangement of the active workspace
+     * @param {string} name
+     */
+    SaveSnapshot(name) {
+        this._tileManager.saveSnapshot(name);
+    }
+
+    /**
+     * D-Bus method: arrange the active workspace as saved in a snapshot
+     * @param {string} name
+     * @returns {boolean} Whether the snapshot exists
+     */
+    RestoreSnapshot(name) {
+        return this._tileManager.restoreSnapshot(name);
+    }
+
+    /**
+     * D-Bus method: delete a snapshot
+     * @param {string} name
+     */
+    DeleteSnapshot(name) {
+        this._tileManager.deleteSnapshot(name);
+    }
+
+    /**
+     * D-Bus method: names of the saved snapshots
+     * @returns {string[]}
+     */
+    ListSnapshots() {
+        return this._tileManager.getSnapshotNames();
+    }
+}
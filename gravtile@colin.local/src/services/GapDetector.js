@@ -8,7 +8,6 @@
 import Meta from 'gi://Meta';
 import GLib from 'gi://GLib';
 import { GnomeCompat } from '../utils/GnomeCompat.js';
-import { CONFIG } from '../constants.js';
 
 /**
  * @typedef {import('../utils/Geometry.js').Rect} Rect
@@ -33,6 +32,9 @@ export class GapDetector {
     /** @type {import('../core/StateStore.js').StateStore} */
     _stateStore;
 
+    /** @type {import('./SettingsService.js').SettingsService} */
+    _settings;
+
     /** @type {number[]} */
     _signalIds = [];
 
@@ -57,10 +59,12 @@ export class GapDetector {
     /**
      * @param {import('../utils/Logger.js').Logger} logger
      * @param {import('../core/StateStore.js').StateStore} stateStore
+     * @param {import('./SettingsService.js').SettingsService} settings
      */
-    constructor(logger, stateStore) {
+    constructor(logger, stateStore, settings) {
         this._logger = logger.child('GapDetector');
         this._stateStore = stateStore;
+        this._settings = settings;
     }
 
     /**
@@ -185,7 +189,12 @@ export class GapDetector {
         const workspaceWindows = GnomeCompat.getWorkspaceWindows();
         const existingIds = new Set(workspaceWindows.map(w => w.get_stable_sequence()));
 
-        let tiledWindows = this._stateStore.getTiledWindows()
+        // Gaps are looked for among the windows of the monitor under the cursor
+        const monitorIndex = global.display.get_monitor_index_for_rect(
+            new imports.gi.Mtk.Rectangle({ x: cursorX, y: cursorY, width: 1, height: 1 })
+        );
+
+        let tiledWindows = (monitorIndex < 0 ? [] : this._stateStore.getTiledWindows(monitorIndex))
             .filter(w => existingIds.has(w.id) && w.id !== this._draggedWindowId);
 
         // Need at least 1 tiled window to have gaps
@@ -213,11 +222,12 @@ export class GapDetector {
         if (monitorIndex < 0) return false;
 
         const workArea = GnomeCompat.getWorkArea(monitorIndex);
-        const threshold = CONFIG.SNAP_THRESHOLD;
+        const threshold = this._settings.snapThreshold;
 
         return x < workArea.x + threshold ||
             x > workArea.x + workArea.width - threshold ||
-            y < workArea.y + threshold;
+            y < workArea.y + threshold ||
+            y > workArea.y + workArea.height - threshold;
     }
 
     /**
@@ -235,7 +245,9 @@ export class GapDetector {
         if (monitorIndex < 0) return null;
 
         const workArea = GnomeCompat.getWorkArea(monitorIndex);
-        const gap = CONFIG.INNER_GAP;
+        const gap = this._settings.innerGap;
+        const outerGap = this._settings.outerGap;
+        const minWidth = this._settings.minWindowWidth;
 
         // Sort windows by X position
         tiledWindows.sort((a, b) => a.rect.x - b.rect.x);
@@ -253,17 +265,17 @@ export class GapDetector {
         // Check gap at left edge of screen
         if (tiledWindows.length > 0) {
             const firstWindow = tiledWindows[0];
-            const leftGapStart = workArea.x + gap;
+            const leftGapStart = workArea.x + outerGap;
             const leftGapEnd = firstWindow.rect.x - gap;
 
-            if (leftGapEnd - leftGapStart >= CONFIG.MIN_WINDOW_WIDTH) {
+            if (leftGapEnd - leftGapStart >= minWidth) {
                 if (cursorX >= leftGapStart && cursorX <= leftGapEnd) {
                     return {
                         rect: {
                             x: leftGapStart,
-                            y: workArea.y + gap,
+                            y: workArea.y + outerGap,
                             width: leftGapEnd - leftGapStart,
-                            height: workArea.height - gap * 2,
+                            height: workArea.height - outerGap * 2,
                         },
                         orientation: 'horizontal',
                     };
@@ -279,14 +291,14 @@ export class GapDetector {
             const gapStart = leftWin.rect.x + leftWin.rect.width + gap;
             const gapEnd = rightWin.rect.x - gap;
 
-            if (gapEnd - gapStart >= CONFIG.MIN_WINDOW_WIDTH) {
+            if (gapEnd - gapStart >= minWidth) {
                 if (cursorX >= gapStart && cursorX <= gapEnd) {
                     return {
                         rect: {
                             x: gapStart,
-                            y: workArea.y + gap,
+                            y: workArea.y + outerGap,
                             width: gapEnd - gapStart,
-                            height: workArea.height - gap * 2,
+                            height: workArea.height - outerGap * 2,
                         },
                         orientation: 'horizontal',
                     };
@@ -298,16 +310,16 @@ export class GapDetector {
         if (tiledWindows.length > 0) {
             const lastWindow = tiledWindows[tiledWindows.length - 1];
             const rightGapStart = lastWindow.rect.x + lastWindow.rect.width + gap;
-            const rightGapEnd = workArea.x + workArea.width - gap;
+            const rightGapEnd = workArea.x + workArea.width - outerGap;
 
-            if (rightGapEnd - rightGapStart >= CONFIG.MIN_WINDOW_WIDTH) {
+            if (rightGapEnd - rightGapStart >= minWidth) {
                 if (cursorX >= rightGapStart && cursorX <= rightGapEnd) {
                     return {
                         rect: {
                             x: rightGapStart,
-                            y: workArea.y + gap,
+                            y: workArea.y + outerGap,
                             width: rightGapEnd - rightGapStart,
-                            height: workArea.height - gap * 2,
+                            height: workArea.height - outerGap * 2,
                         },
                         orientation: 'horizontal',
                     };
@@ -8,7 +8,6 @@
 import Meta from 'gi://Meta';
 import GLib from 'gi://GLib';
 import { GnomeCompat } from '../utils/GnomeCompat.js';
-import { CONFIG } from '../constants.js';
 
 /**
  * @typedef {import('../utils/Geometry.js').Rect} Rect
@@ -35,6 +34,9 @@ export class InsertDetector {
     /** @type {import('../core/StateStore.js').StateStore} */
     _stateStore;
 
+    /** @type {import('./SettingsService.js').SettingsService} */
+    _settings;
+
     /** @type {number[]} */
     _signalIds = [];
 
@@ -62,10 +64,12 @@ export class InsertDetector {
     /**
      * @param {import('../utils/Logger.js').Logger} logger
      * @param {import('../core/StateStore.js').StateStore} stateStore
+     * @param {import('./SettingsService.js').SettingsService} settings
      */
-    constructor(logger, stateStore) {
+    constructor(logger, stateStore, settings) {
         this._logger = logger.child('InsertDetector');
         this._stateStore = stateStore;
+        this._settings = settings;
     }
 
     /**
@@ -182,7 +186,12 @@ export class InsertDetector {
      */
     _checkForInsertZone() {
         const [cursorX, cursorY] = global.get_pointer();
-        let tiledWindows = this._stateStore.getTiledWindows();
+        const monitorIndex = global.display.get_monitor_index_for_rect(
+            new imports.gi.Mtk.Rectangle({ x: cursorX, y: cursorY, width: 1, height: 1 })
+        );
+
+        // Only boundaries between windows of the monitor under the cursor count
+        let tiledWindows = monitorIndex < 0 ? [] : this._stateStore.getTiledWindows(monitorIndex);
 
         // Filter out windows that no longer exist on screen
         const workspaceWindows = GnomeCompat.getWorkspaceWindows();
@@ -220,11 +229,12 @@ export class InsertDetector {
         if (monitorIndex < 0) return false;
 
         const workArea = GnomeCompat.getWorkArea(monitorIndex);
-        const threshold = CONFIG.SNAP_THRESHOLD;
+        const threshold = this._settings.snapThreshold;
 
         return x < workArea.x + threshold ||
             x > workArea.x + workArea.width - threshold ||
-            y < workArea.y + threshold;
+            y < workArea.y + threshold ||
+            y > workArea.y + workArea.height - threshold;
     }
 
     /**
@@ -253,7 +263,7 @@ export class InsertDetector {
                 const rightNeighbors = tiledWindows.filter(w =>
                     w.id !== this._draggedWindowId &&
                     w.id !== win.id &&
-                    Math.abs(w.rect.x - rightEdge) < CONFIG.INNER_GAP * 2
+                    Math.abs(w.rect.x - rightEdge) < this._settings.innerGap * 2
                 );
 
                 if (rightNeighbors.length > 0) {
@@ -272,9 +282,9 @@ export class InsertDetector {
                         affectedWindowIds: affectedIds,
                         insertRect: {
                             x: rightEdge,
-                            y: workArea.y + CONFIG.OUTER_GAP,
+                            y: workArea.y + this._settings.outerGap,
                             width: 200, // Temporary width, will be recalculated
-                            height: workArea.height - CONFIG.OUTER_GAP * 2,
+                            height: workArea.height - this._settings.outerGap * 2,
                         },
                     };
                 }
@@ -288,7 +298,7 @@ export class InsertDetector {
                 const leftNeighbors = tiledWindows.filter(w =>
                     w.id !== this._draggedWindowId &&
                     w.id !== win.id &&
-                    Math.abs((w.rect.x + w.rect.width) - leftEdge) < CONFIG.INNER_GAP * 2
+                    Math.abs((w.rect.x + w.rect.width) - leftEdge) < this._settings.innerGap * 2
                 );
 
                 if (leftNeighbors.length > 0) {
@@ -305,9 +315,9 @@ export class InsertDetector {
                         affectedWindowIds: affectedIds,
                         insertRect: {
                             x: leftEdge - 100,
-                            y: workArea.y + CONFIG.OUTER_GAP,
+                            y: workArea.y + this._settings.outerGap,
                             width: 200,
-                            height: workArea.height - CONFIG.OUTER_GAP * 2,
+                            height: workArea.height - this._settings.outerGap * 2,
                         },
                     };
                 }
@@ -0,0 +1,127 @@
+/**
+ * KeybindingService - Global shortcuts for tiling commands
+ *
+ * @description Registers the shortcuts stored in the schema's
+ * keybinding keys with the window manager. Each shortcut runs a
+ * TileManager command on the focused window.
+ */
+
+import { GnomeCompat } from '../utils/GnomeCompat.js';
+
+/**
+ * @callback KeybindingCommand
+ * @param {import('../core/TileManager.js').TileManager} tileManager
+ * @param {number} windowId - The focused window
+ */
+
+/** @type {Object<string, KeybindingCommand>} Command of each keybinding key */
+const KEYBINDINGS = {
+    'snap-left': (tileManager, id) => tileManager.snapWindow(id, 'left'),
+    'snap-right': (tileManager, id) => tileManager.snapWindow(id, 'right'),
+    'snap-top': (tileManager, id) => tileManager.snapWindow(id, 'top-half'),
+    'snap-bottom': (tileManager, id) => tileManager.snapWindow(id, 'bottom-half'),
+    'snap-top-left': (tileManager, id) => tileManager.snapWindow(id, 'left-top'),
+    'snap-top-right': (tileManager, id) => tileManager.snapWindow(id, 'right-top'),
+    'snap-bottom-left': (tileManager, id) => tileManager.snapWindow(id, 'left-bottom'),
+    'snap-bottom-right': (tileManager, id) => tileManager.snapWindow(id, 'right-bottom'),
+    'snap-left-third': (tileManager, id) => tileManager.snapWindow(id, 'left-third'),
+    'snap-center-third': (tileManager, id) => tileManager.snapWindow(id, 'center-third'),
+    'snap-right-third': (tileManager, id) => tileManager.snapWindow(id, 'right-third'),
+    'snap-left-two-thirds': (tileManager, id) => tileManager.snapWindow(id, 'left-two-thirds'),
+    'snap-right-two-thirds': (tileManager, id) => tileManager.snapWindow(id, 'right-two-thirds'),
+    'maximize-in-layout': (tileManager, id) => tileManager.toggleMaximizeInLayout(id),
+    'untile-window': (tileManager, id) => tileManager.untileWindow(id),
+    'toggle-tiled': (tileManager, id) => tileManager.toggleTiled(id),
+    'focus-left': (tileManager, id) => tileManager.focusDirection(id, 'left'),
+    'focus-right': (tileManager, id) => tileManager.focusDirection(id, 'right'),
+    'focus-up': (tileManager, id) => tileManager.focusDirection(id, 'top'),
+    'focus-down': (tileManager, id) => tileManager.focusDirection(id, 'bottom'),
+    'swap-left': (tileManager, id) => tileManager.swapDirection(id, 'left'),
+    'swap-right': (tileManager, id) => tileManager.swapDirection(id, 'right'),
+    'swap-up': (tileManager, id) => tileManager.swapDirection(id, 'top'),
+    'swap-down': (tileManager, id) => tileManager.swapDirection(id, 'bottom'),
+    'move-left': (tileManager, id) => tileManager.moveDirection(id, 'left'),
+    'move-right': (tileManager, id) => tileManager.moveDirection(id, 'right'),
+    'move-up': (tileManager, id) => tileManager.moveDirection(id, 'top'),
+    'move-down': (tileManager, id) => tileManager.moveDirection(id, 'bottom'),
+    'grow-left': (tileManager, id) => tileManager.resizeDirection(id, 'left', true),
+    'grow-right': (tileManager, id) => tileManager.resizeDirection(id, 'right', true),
+    'grow-up': (tileManager, id) => tileManager.resizeDirection(id, 'top', true),
+    'grow-down': (tileManager, id) => tileManager.resizeDirection(id, 'bottom', true),
+    'shrink-left': (tileManager, id) => tileManager.resizeDirection(id, 'left', false),
+    'shrink-right': (tileManager, id) => tileManager.resizeDirection(id, 'right', false),
+    'shrink-up': (tileManager, id) => tileManager.resizeDirection(id, 'top', false),
+    'shrink-down': (tileManager, id) => tileManager.resizeDirection(id, 'bottom', false),
+};
+
+export class KeybindingService {
+    /** @type {import('../utils/Logger.js').Logger} */
+    _logger;
+
+    /** @type {import('./SettingsService.js').SettingsService} */
+    _settings;
+
+    /** @type {import('../core/TileManager.js').TileManager} */
+    _tileManager;
+
+    /** @type {string[]} Names of the registered keybindings */
+    _registered = [];
+
+    /**
+     * @param {import('../utils/Logger.js').Logger} logger
+     * @param {import('./SettingsService.js').SettingsService} settings
+     * @param {import('../core/TileManager.js').TileManager} tileManager - Receiver of the commands
+     */
+    constructor(logger, settings, tileManager) {
+        this._logger = logger.child('KeybindingService');
+        this._settings = settings;
+        this._tileManager = tileManager;
+    }
+
+    /**
+     * Register all keybindings
+     */
+    enable() {
+        this._logger.info('Registering keybindings');
+
+        for (const name of Object.keys(KEYBINDINGS)) {
+            GnomeCompat.addKeybinding(name, this._settings.gioSettings, () => this.run(name));
+            this._registered.push(name);
+        }
+    }
+
+    /**
+     * Unregister all keybindings
+     */
+    disable() {
+        this._logger.info('Removing keybindings');
+
+        for (const name of this._registered) {
+            GnomeCompat.removeKeybinding(name);
+        }
+        this._registered = [];
+    }
+
+    /**
+     * Run the command of a keybinding on the focused window
+     *
+     * Also used by the tiling mode, whose keys run the same commands.
+     * @param {string} name - Key of the keybinding
+     */
+    run(name) {
+        // Dialogs a window rule tiles count, windows GravTile leaves alone don't
+        const focused = GnomeCompat.getFocusedWindow();
+        if (!focused || !this._tileManager.isManagedWindow(focused.get_stable_sequence())) {
+            this._logger.debug(`${name}: no focused managed window`);
+            return;
+        }
+
+        this._logger.debug(`Keybinding ${name} on "${focused.get_title()}"`);
+
+        try {
+            KEYBINDINGS[name](this._tileManager, focused.get_stable_sequence());
+        } catch (e) {
+            this._logger.error(`Keybinding ${name} failed:`, e);
+        }
+    }
+}
@@ -4,12 +4,14 @@
  * @description Monitors window resize operations and automatically
  * adjusts neighboring windows to maintain the tiled layout.
  * When one window grows, its neighbors shrink proportionally.
+ * Mouse resizes, GNOME's keyboard resize (Alt+F8) and resizeEdge()
+ * (used by the resize keybindings) all go through the same neighbor
+ * adjustment.
  */
 
 import Meta from 'gi://Meta';
 import GLib from 'gi://GLib';
 import { GnomeCompat } from '../utils/GnomeCompat.js';
-import { CONFIG } from '../constants.js';
 
 /**
  * @typedef {import('../utils/Geometry.js').Rect} Rect
@@ -22,6 +24,9 @@ export class ResizeHandler {
     /** @type {import('../core/StateStore.js').StateStore} */
     _stateStore;
 
+    /** @type {import('./SettingsService.js').SettingsService} */
+    _settings;
+
     /** @type {number[]} */
     _signalIds = [];
 
@@ -46,10 +51,12 @@ export class ResizeHandler {
     /**
      * @param {import('../utils/Logger.js').Logger} logger
      * @param {import('../core/StateStore.js').StateStore} stateStore
+     * @param {import('./SettingsService.js').SettingsService} settings
      */
-    constructor(logger, stateStore) {
+    constructor(logger, stateStore, settings) {
         this._logger = logger.child('ResizeHandler');
         this._stateStore = stateStore;
+        this._settings = settings;
     }
 
     /**
@@ -90,7 +97,7 @@ export class ResizeHandler {
      * @returns {boolean}
      */
     _isResizeOp(grabOp) {
-        // GNOME 45+ resize ops
+        // GNOME 45+ resize ops, by mouse and by keyboard
         const resizeOps = [
             Meta.GrabOp.RESIZING_NW,
             Meta.GrabOp.RESIZING_N,
@@ -100,24 +107,133 @@ export class ResizeHandler {
             Meta.GrabOp.RESIZING_S,
             Meta.GrabOp.RESIZING_SW,
             Meta.GrabOp.RESIZING_W,
+            Meta.GrabOp.KEYBOARD_RESIZING_UNKNOWN,
+            Meta.GrabOp.KEYBOARD_RESIZING_NW,
+            Meta.GrabOp.KEYBOARD_RESIZING_N,
+            Meta.GrabOp.KEYBOARD_RESIZING_NE,
+            Meta.GrabOp.KEYBOARD_RESIZING_E,
+            Meta.GrabOp.KEYBOARD_RESIZING_SE,
+            Meta.GrabOp.KEYBOARD_RESIZING_S,
+            Meta.GrabOp.KEYBOARD_RESIZING_SW,
+            Meta.GrabOp.KEYBOARD_RESIZING_W,
         ];
         return resizeOps.includes(grabOp);
     }
 
     /**
      * Get which edges are being resized
+     *
+     * A keyboard resize starts without a direction (the first arrow key
+     * picks it), so any edge may move then; only edges that actually
+     * moved affect neighbors.
      * @param {Meta.GrabOp} grabOp
      * @returns {{left: boolean, right: boolean, top: boolean, bottom: boolean}}
      */
     _getResizeEdges(grabOp) {
+        if (grabOp === Meta.GrabOp.KEYBOARD_RESIZING_UNKNOWN) {
+            return { left: true, right: true, top: true, bottom: true };
+        }
+
         return {
-            left: [Meta.GrabOp.RESIZING_NW, Meta.GrabOp.RESIZING_W, Meta.GrabOp.RESIZING_SW].includes(grabOp),
-            right: [Meta.GrabOp.RESIZING_NE, Meta.GrabOp.RESIZING_E, Meta.GrabOp.RESIZING_SE].includes(grabOp),
-            top: [Meta.GrabOp.RESIZING_NW, Meta.GrabOp.RESIZING_N, Meta.GrabOp.RESIZING_NE].includes(grabOp),
-            bottom: [Meta.GrabOp.RESIZING_SW, Meta.GrabOp.RESIZING_S, Meta.GrabOp.RESIZING_SE].includes(grabOp),
+            left: [
+                Meta.GrabOp.RESIZING_NW, Meta.GrabOp.RESIZING_W, Meta.GrabOp.RESIZING_SW,
+                Meta.GrabOp.KEYBOARD_RESIZING_NW, Meta.GrabOp.KEYBOARD_RESIZING_W, Meta.GrabOp.KEYBOARD_RESIZING_SW,
+            ].includes(grabOp),
+            right: [
+                Meta.GrabOp.RESIZING_NE, Meta.GrabOp.RESIZING_E, Meta.GrabOp.RESIZING_SE,
+                Meta.GrabOp.KEYBOARD_RESIZING_NE, Meta.GrabOp.KEYBOARD_RESIZING_E, Meta.GrabOp.KEYBOARD_RESIZING_SE,
+            ].includes(grabOp),
+            top: [
+                Meta.GrabOp.RESIZING_NW, Meta.GrabOp.RESIZING_N, Meta.GrabOp.RESIZING_NE,
+                Meta.GrabOp.KEYBOARD_RESIZING_NW, Meta.GrabOp.KEYBOARD_RESIZING_N, Meta.GrabOp.KEYBOARD_RESIZING_NE,
+            ].includes(grabOp),
+            bottom: [
+                Meta.GrabOp.RESIZING_SW, Meta.GrabOp.RESIZING_S, Meta.GrabOp.RESIZING_SE,
+                Meta.GrabOp.KEYBOARD_RESIZING_SW, Meta.GrabOp.KEYBOARD_RESIZING_S, Meta.GrabOp.KEYBOARD_RESIZING_SE,
+            ].includes(grabOp),
         };
     }
 
+    /**
+     * Move one edge of a tiled window, shrinking or growing its neighbors
+     * on that side like a mouse resize does
+     *
+     * Growth is limited to what the neighbors can give up without going
+     * below the minimum size; the window itself doesn't shrink below it
+     * either. Edges without neighbors (at the screen border) don't move.
+     * @param {Meta.Window} window
+     * @param {import('../utils/Geometry.js').Direction} edge
+     * @param {number} delta - Pixels outwards, negative to move the edge inwards
+     * @returns {boolean} Whether the window was resized
+     */
+    resizeEdge(window, edge, delta) {
+        // A mouse or keyboard grab is in progress
+        if (this._resizingWindow) return false;
+
+        const windowId = window.get_stable_sequence();
+        const state = this._stateStore.getWindow(windowId);
+        if (!state?.isTiled) return false;
+
+        const neighbors = this._stateStore.getNeighbors(windowId, edge);
+        if (neighbors.length === 0) {
+            this._logger.debug(`No neighbors on the ${edge} of window ${windowId}`);
+            return false;
+        }
+        if (this._hasLockedNeighbor(windowId, edge)) {
+            this._logger.debug(`A neighbor on the ${edge} of window ${windowId} keeps its size`);
+            return false;
+        }
+
+        const horizontal = edge === 'left' || edge === 'right';
+        const minSize = horizontal ? this._settings.minWindowWidth : this._settings.minWindowHeight;
+        const size = rect => (horizontal ? rect.width : rect.height);
+
+        const allowed = delta > 0
+            ? Math.min(delta, ...neighbors.map(n => size(n.rect) - minSize))
+            : Math.max(delta, minSize - size(state.rect));
+        if (allowed === 0 || Math.sign(allowed) !== Math.sign(delta)) return false;
+
+        const rect = { ...state.rect };
+        if (horizontal) rect.width += allowed;
+        else rect.height += allowed;
+        if (edge === 'left') rect.x -= allowed;
+        if (edge === 'top') rect.y -= allowed;
+
+        this._resizingWindow = window;
+        this._resizingWindowId = windowId;
+        this._lastRect = state.rect;
+
+        GnomeCompat.moveResizeWindow(window, rect);
+        this._stateStore.setWindow(windowId, { rect });
+
+        // Neighbor adjustments take the movement of the edge's position
+        switch (edge) {
+            case 'left':
+                this._adjustLeftNeighbors(-allowed);
+                break;
+            case 'right':
+                this._adjustRightNeighbors(allowed);
+                break;
+            case 'top':
+                this._adjustTopNeighbors(-allowed);
+                break;
+            case 'bottom':
+                this._adjustBottomNeighbors(allowed);
+                break;
+        }
+
+        const monitorIndex = GnomeCompat.getWindowMonitor(window);
+        this._stateStore.recalculateNeighbors(monitorIndex);
+
+        this._resizingWindow = null;
+        this._resizingWindowId = null;
+        this._lastRect = null;
+
+        this._logger.info(`Moved ${edge} edge of window ${windowId} by ${allowed}px`);
+        this._emitResizeComplete(windowId, monitorIndex);
+        return true;
+    }
+
     /**
      * Handle grab begin
      * @param {Meta.Window} window
@@ -238,6 +354,18 @@ export class ResizeHandler {
         const deltaTop = currentRect.y - this._lastRect.y;
         const deltaBottom = (currentRect.y + currentRect.height) - (this._lastRect.y + this._lastRect.height);
 
+        // Edges next to windows that keep their size don't move
+        const movedEdges = [
+            edges.right && deltaRight !== 0 && 'right',
+            edges.left && deltaLeft !== 0 && 'left',
+            edges.bottom && deltaBottom !== 0 && 'bottom',
+            edges.top && deltaTop !== 0 && 'top',
+        ].filter(Boolean);
+        if (movedEdges.some(edge => this._hasLockedNeighbor(this._resizingWindowId, edge))) {
+            GnomeCompat.moveResizeWindow(this._resizingWindow, this._lastRect);
+            return;
+        }
+
         // Adjust neighbors based on which edge moved
         if (edges.right && deltaRight !== 0) {
             this._adjustRightNeighbors(deltaRight);
@@ -259,6 +387,18 @@ export class ResizeHandler {
         this._stateStore.setWindow(this._resizingWindowId, { rect: currentRect });
     }
 
+    /**
+     * Check if a window rule keeps a neighbor on an edge at its size
+     * @param {number} windowId
+     * @param {import('../utils/Geometry.js').Direction} edge
+     * @returns {boolean}
+     * @private
+     */
+    _hasLockedNeighbor(windowId, edge) {
+        return this._stateStore.getNeighbors(windowId, edge)
+            .some(neighbor => this._stateStore.isResizeLocked(neighbor.id));
+    }
+
     /**
      * Adjust neighbors to the right (when right edge moves)
      * @param {number} delta - Positive = window grew right, negative = shrank
@@ -278,9 +418,9 @@ export class ResizeHandler {
             const newNeighborWidth = neighbor.rect.width - delta;
 
             // If neighbor would go below min width, constrain the resize
-            if (newNeighborWidth < CONFIG.MIN_WINDOW_WIDTH && delta > 0) {
+            if (newNeighborWidth < this._settings.minWindowWidth && delta > 0) {
                 // Calculate max delta that keeps neighbor at min width
-                const maxDelta = neighbor.rect.width - CONFIG.MIN_WINDOW_WIDTH;
+                const maxDelta = neighbor.rect.width - this._settings.minWindowWidth;
 
                 if (maxDelta <= 0) {
                     // Neighbor already at min, don't allow any growth
@@ -302,7 +442,7 @@ export class ResizeHandler {
                 const newRect = {
                     x: neighbor.rect.x + maxDelta,
                     y: neighbor.rect.y,
-                    width: CONFIG.MIN_WINDOW_WIDTH,
+                    width: this._settings.minWindowWidth,
                     height: neighbor.rect.height,
                 };
 
@@ -345,11 +485,11 @@ export class ResizeHandler {
             const newNeighborWidth = neighbor.rect.width + delta;
 
             // If neighbor would go below min width, constrain the resize
-            if (newNeighborWidth < CONFIG.MIN_WINDOW_WIDTH && delta < 0) {
+            if (newNeighborWidth < this._settings.minWindowWidth && delta < 0) {
                 // Calculate max delta that keeps neighbor at min width
-                const maxDelta = CONFIG.MIN_WINDOW_WIDTH - neighbor.rect.width;
+                const maxDelta = this._settings.minWindowWidth - neighbor.rect.width;
 
-                if (neighbor.rect.width <= CONFIG.MIN_WINDOW_WIDTH) {
+                if (neighbor.rect.width <= this._settings.minWindowWidth) {
                     // Neighbor already at min, don't allow any growth
                     if (this._resizingWindow && this._lastRect) {
                         const constrainedRect = {
@@ -368,7 +508,7 @@ export class ResizeHandler {
                 const newRect = {
                     x: neighbor.rect.x,
                     y: neighbor.rect.y,
-                    width: CONFIG.MIN_WINDOW_WIDTH,
+                    width: this._settings.minWindowWidth,
                     height: neighbor.rect.height,
                 };
 
@@ -411,7 +551,7 @@ export class ResizeHandler {
                 height: neighbor.rect.height - delta,
             };
 
-            if (newRect.height < CONFIG.MIN_WINDOW_HEIGHT) continue;
+            if (newRect.height < this._settings.minWindowHeight) continue;
 
             GnomeCompat.moveResizeWindow(metaWindow, newRect);
             GnomeCompat.raiseWindow(metaWindow); // Keep on top
@@ -439,7 +579,7 @@ export class ResizeHandler {
                 height: neighbor.rect.height + delta,
             };
 
-            if (newRect.height < CONFIG.MIN_WINDOW_HEIGHT) continue;
+            if (newRect.height < this._settings.minWindowHeight) continue;
 
             GnomeCompat.moveResizeWindow(metaWindow, newRect);
             GnomeCompat.raiseWindow(metaWindow); // Keep on top
@@ -457,7 +597,7 @@ export class ResizeHandler {
         const currentRect = GnomeCompat.getWindowRect(window);
 
         this._stateStore.setWindow(windowId, { rect: currentRect });
-        this._stateStore.recalculateNeighbors();
+        this._stateStore.recalculateNeighbors(GnomeCompat.getWindowMonitor(window));
 
         this._logger.info(`Resize complete: ${currentRect.width}x${currentRect.height}`);
     }
@@ -0,0 +1,249 @@
+/**
+ * SettingsService - Typed access to the extension's GSettings
+ *
+ * @description Wraps the org.gnome.shell.extensions.gravtile schema
+ * so the rest of the extension reads configuration through named
+ * getters instead of raw GSettings keys, and forwards change
+ * notifications to subscribers.
+ */
+
+import GLib from 'gi://GLib';
+import { Logger } from '../utils/Logger.js';
+
+/**
+ * @typedef {import('gi://Gio').default.Settings} GioSettings
+ */
+
+/**
+ * @callback SettingsChangedCallback
+ * @param {string} key - The GSettings key that changed (e.g. 'inner-gap')
+ */
+
+export class SettingsService {
+    /** @type {Logger} */
+    _logger;
+
+    /** @type {GioSettings|null} */
+    _settings;
+
+    /** @type {number} */
+    _changedId = 0;
+
+    /** @type {Set<SettingsChangedCallback>} */
+    _onChanged = new Set();
+
+    /**
+     * @param {GioSettings} settings - Settings for the extension schema
+     */
+    constructor(settings) {
+        // Loggers read their debug flag from the settings, so this one
+        // is created here rather than passed in
+        this._logger = new Logger('GravTile', this).child('SettingsService');
+        this._settings = settings;
+        this._changedId = settings.connect('changed',
+            (_settings, key) => this._emitChanged(key));
+    }
+
+    /** @returns {GioSettings} The wrapped settings, for APIs that read keys themselves (e.g. keybindings) */
+    get gioSettings() {
+        return this._settings;
+    }
+
+    /** @returns {number} Gap between windows in pixels */
+    get innerGap() {
+        return this._settings.get_int('inner-gap');
+    }
+
+    /** @returns {number} Gap from screen edges in pixels */
+    get outerGap() {
+        return this._settings.get_int('outer-gap');
+    }
+
+    /** @returns {'bsp'|'master-stack'|'centered-master'} Default layout mode of monitors */
+    get layoutMode() {
+        return this._settings.get_string('layout-mode');
+    }
+
+    /** @returns {boolean} Whether ultrawide monitors use the centered-master layout */
+    get ultrawideCenteredMaster() {
+        return this._settings.get_boolean('ultrawide-centered-master');
+    }
+
+    /** @returns {number} Share of the width taken by the master column (0..1) */
+    get masterRatio() {
+        return this._settings.get_double('master-ratio');
+    }
+
+    /** @returns {number} Number of windows in the master column */
+    get masterCount() {
+        return this._settings.get_int('master-count');
+    }
+
+    /** @returns {number} Pixels from edge to trigger snap detection */
+    get snapThreshold() {
+        return this._settings.get_int('snap-threshold');
+    }
+
+    /** @returns {'maximize'|'top-half'|'dwell'|'segmented'} What the top edge snaps to */
+    get snapTopEdge() {
+        return this._settings.get_string('snap-top-edge');
+    }
+
+    /** @returns {number} Milliseconds on the top edge before 'dwell' maximizes */
+    get snapDwellTime() {
+        return this._settings.get_int('snap-dwell-time');
+    }
+
+    /** @returns {'ultrawide'|'always'|'never'} Monitors with thirds snap zones */
+    get snapThirds() {
+        return this._settings.get_string('snap-thirds');
+    }
+
+    /** @returns {number} Minimum overlap to consider windows neighbors (pixels) */
+    get neighborOverlapMin() {
+        return this._settings.get_int('neighbor-overlap-min');
+    }
+
+    /** @returns {number} Tolerance for edge detection (pixels) */
+    get edgeTolerance() {
+        return this._settings.get_int('edge-tolerance');
+    }
+
+    /** @returns {number} Minimum window width */
+    get minWindowWidth() {
+        return this._settings.get_int('min-window-width');
+    }
+
+    /** @returns {number} Minimum window height */
+    get minWindowHeight() {
+        return this._settings.get_int('min-window-height');
+    }
+
+    /** @returns {number} Pixels an edge moves per keyboard resize */
+    get resizeStep() {
+        return this._settings.get_int('resize-step');
+    }
+
+    /** @returns {boolean} Whether new windows are tiled automatically */
+    get autoTile() {
+        return this._settings.get_boolean('auto-tile');
+    }
+
+    /** @returns {'append'|'next-to-focused'|'largest'} Where auto-tiled windows are placed */
+    get autoTilePlacement() {
+        return this._settings.get_string('auto-tile-placement');
+    }
+
+    /** @returns {boolean} Whether all windows are tiled when the extension is enabled */
+    get tileOnEnable() {
+        return this._settings.get_boolean('tile-on-enable');
+    }
+
+    /** @returns {import('../core/RuleEngine.js').WindowRule[]} Window rules, empty if the JSON is invalid */
+    get windowRules() {
+        try {
+            const rules = JSON.parse(this._settings.get_string('window-rules'));
+            return Array.isArray(rules) ? rules : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /** @param {import('../core/RuleEngine.js').WindowRule[]} rules */
+    set windowRules(rules) {
+        this._settings.set_string('window-rules', JSON.stringify(rules));
+    }
+
+    /**
+     * Turn a customized excluded-apps list, from before window rules,
+     * into float rules and reset it
+     * @returns {string[]} Apps that got a new rule
+     */
+    migrateExcludedApps() {
+        if (this._settings.get_user_value('excluded-apps') === null) return [];
+
+        const rules = this.windowRules;
+        const apps = this._settings.get_strv('excluded-apps').filter(app =>
+            !rules.some(rule => rule.match?.wmClass?.toLowerCase() === app.toLowerCase()));
+
+        this.windowRules = [
+            ...rules,
+            ...apps.map(app => ({ name: app, match: { wmClass: app }, actions: { tiling: 'float' } })),
+        ];
+        this._settings.reset('excluded-apps');
+        return apps;
+    }
+
+    /** @returns {boolean} Whether floating a window makes the app's windows float */
+    get rememberFloating() {
+        return this._settings.get_boolean('remember-floating');
+    }
+
+    /** @returns {string[]} Apps whose windows start floating (WM_CLASS) */
+    get floatingApps() {
+        return this._settings.get_strv('floating-apps');
+    }
+
+    /** @param {string[]} apps - Apps whose windows start floating (WM_CLASS) */
+    set floatingApps(apps) {
+        this._settings.set_strv('floating-apps', apps);
+    }
+
+    /** @returns {Object<string, string>} Layout snapshots as JSON, by name */
+    get layoutSnapshots() {
+        return this._settings.get_value('layout-snapshots').deepUnpack();
+    }
+
+    /** @param {Object<string, string>} snapshots - Layout snapshots as JSON, by name */
+    set layoutSnapshots(snapshots) {
+        this._settings.set_value('layout-snapshots', new GLib.Variant('a{ss}', snapshots));
+    }
+
+    /** @returns {boolean} Whether restoring a snapshot launches missing apps */
+    get snapshotLaunchApps() {
+        return this._settings.get_boolean('snapshot-launch-apps');
+    }
+
+    /** @returns {boolean} Whether debug logging is enabled */
+    get debug() {
+        return this._settings.get_boolean('debug');
+    }
+
+    /**
+     * Register callback for settings changes
+     * @param {SettingsChangedCallback} callback
+     */
+    onChanged(callback) {
+        this._onChanged.add(callback);
+    }
+
+    /**
+     * Unregister a settings change callback
+     * @param {SettingsChangedCallback} callback
+     */
+    offChanged(callback) {
+        this._onChanged.delete(callback);
+    }
+
+    /**
+     * @param {string} key
+     * @private
+     */
+    _emitChanged(key) {
+        for (const cb of this._onChanged) {
+            try { cb(key); } catch (e) { this._logger.error('Callback error:', e); }
+        }
+    }
+
+    /**
+     * Disconnect from GSettings and release it
+     */
+    destroy() {
+        if (this._changedId) {
+            this._settings.disconnect(this._changedId);
+            this._changedId = 0;
+        }
+        this._onChanged.clear();
+        this._settings = null;
+    }
+}
@@ -4,16 +4,22 @@
  * @description Monitors window drag operations and detects when
  * the cursor enters snap zones (edges and corners of the screen).
  * Emits events for the TileManager to react to.
+ * The bottom edge snaps to the bottom half; the top edge maximizes or
+ * snaps to the top half depending on the snap-top-edge setting.
+ * Where thirds are enabled, the bottom edge is split into three
+ * segments (one per third) instead and holding Ctrl turns the left,
+ * right and top edges into two-thirds and center-third zones.
  */
 
 import Meta from 'gi://Meta';
 import Clutter from 'gi://Clutter';
 import GLib from 'gi://GLib';
 import { GnomeCompat } from '../utils/GnomeCompat.js';
-import { CONFIG } from '../constants.js';
 
 /**
- * @typedef {'left'|'right'|'top'|'maximize'|'left-top'|'right-top'|'left-bottom'|'right-bottom'|null} SnapZone
+ * @typedef {'left'|'right'|'top'|'maximize'|'top-half'|'bottom-half'|
+ *     'left-top'|'right-top'|'left-bottom'|'right-bottom'|
+ *     'left-third'|'center-third'|'right-third'|'left-two-thirds'|'right-two-thirds'|null} SnapZone
  */
 
 /**
@@ -32,6 +38,12 @@ export class SnapDetector {
     /** @type {import('../utils/Logger.js').Logger} */
     _logger;
 
+    /** @type {import('./SettingsService.js').SettingsService} */
+    _settings;
+
+    /** @type {import('../core/LayoutEngine.js').LayoutEngine} */
+    _layoutEngine;
+
     /** @type {number[]} */
     _signalIds = [];
 
@@ -44,20 +56,27 @@ export class SnapDetector {
     /** @type {number} */
     _debounceTimeoutId = 0;
 
+    /** @type {number} Monotonic time (ms) the pointer reached the top edge, 0 when off it */
+    _topEdgeSince = 0;
+
     /** @type {Set<SnapCallback>} */
     _onSnapDetected = new Set();
 
     /** @type {Set<SnapCallback>} */
     _onSnapReleased = new Set();
 
-    /** @type {Set<function(SnapZone, number): void>} */
+    /** @type {Set<function(SnapZone, number, Meta.Window): void>} */
     _onZoneChanged = new Set();
 
     /**
      * @param {import('../utils/Logger.js').Logger} logger
+     * @param {import('./SettingsService.js').SettingsService} settings
+     * @param {import('../core/LayoutEngine.js').LayoutEngine} layoutEngine - Used to tell ultrawide monitors apart
      */
-    constructor(logger) {
+    constructor(logger, settings, layoutEngine) {
         this._logger = logger.child('SnapDetector');
+        this._settings = settings;
+        this._layoutEngine = layoutEngine;
     }
 
     /**
@@ -121,6 +140,7 @@ export class SnapDetector {
 
         this._grabbedWindow = window;
         this._currentZone = null;
+        this._topEdgeSince = 0;
 
         this._logger.debug(`Grab started: ${window.get_title()}`);
 
@@ -193,7 +213,7 @@ export class SnapDetector {
      * @private
      */
     _checkCursorPosition() {
-        const [x, y] = global.get_pointer();
+        const [x, y, mods] = global.get_pointer();
         const monitorIndex = global.display.get_monitor_index_for_rect(
             new imports.gi.Mtk.Rectangle({ x, y, width: 1, height: 1 })
         );
@@ -201,16 +221,25 @@ export class SnapDetector {
         if (monitorIndex < 0) return;
 
         const workArea = GnomeCompat.getWorkArea(monitorIndex);
-        const threshold = CONFIG.SNAP_THRESHOLD;
+        const threshold = this._settings.snapThreshold;
+
+        const thirds = this._hasThirds(monitorIndex);
+        const alternate = thirds && (mods & Clutter.ModifierType.CONTROL_MASK) !== 0;
 
-        const zone = this._detectZone(x, y, workArea, threshold);
+        let zone = this._detectZone(x, y, workArea, threshold, thirds, alternate);
+
+        if (zone === 'top') {
+            zone = this._resolveTopZone(x, workArea);
+        } else {
+            this._topEdgeSince = 0;
+        }
 
         if (zone !== this._currentZone) {
             const oldZone = this._currentZone;
             this._currentZone = zone;
 
             this._logger.debug(`Zone changed: ${oldZone} -> ${zone}`);
-            this._emitZoneChanged(zone, monitorIndex);
+            this._emitZoneChanged(zone, monitorIndex, this._grabbedWindow);
         }
     }
 
@@ -220,10 +249,12 @@ export class SnapDetector {
      * @param {number} y - Cursor Y
      * @param {import('../utils/Geometry.js').Rect} workArea
      * @param {number} threshold
+     * @param {boolean} [thirds=false] - Whether thirds zones exist on this monitor
+     * @param {boolean} [alternate=false] - Whether the thirds modifier is held
      * @returns {SnapZone}
      * @private
      */
-    _detectZone(x, y, workArea, threshold) {
+    _detectZone(x, y, workArea, threshold, thirds = false, alternate = false) {
         const left = x < workArea.x + threshold;
         const right = x > workArea.x + workArea.width - threshold;
         const top = y < workArea.y + threshold;
@@ -235,15 +266,83 @@ export class SnapDetector {
         if (left && bottom) return 'left-bottom';
         if (right && bottom) return 'right-bottom';
 
+        // Thirds: segmented bottom edge, modifier for the other edges
+        if (thirds && bottom) return this._getThirdAt(x, workArea);
+        if (alternate && left) return 'left-two-thirds';
+        if (alternate && right) return 'right-two-thirds';
+        if (alternate && top) return 'center-third';
+
         // Edges
         if (top) return 'top';
         if (left) return 'left';
         if (right) return 'right';
+        if (bottom) return 'bottom-half';
 
         // Not in any zone
         return null;
     }
 
+    /**
+     * Decide between maximize and top half for the top edge
+     * @param {number} x - Cursor X
+     * @param {import('../utils/Geometry.js').Rect} workArea
+     * @returns {'top'|'top-half'}
+     * @private
+     */
+    _resolveTopZone(x, workArea) {
+        const now = GLib.get_monotonic_time() / 1000;
+        if (!this._topEdgeSince) {
+            this._topEdgeSince = now;
+        }
+
+        switch (this._settings.snapTopEdge) {
+            case 'top-half':
+                return 'top-half';
+            case 'dwell':
+                return now - this._topEdgeSince >= this._settings.snapDwellTime
+                    ? 'top'
+                    : 'top-half';
+            case 'segmented': {
+                const offset = x - workArea.x;
+                const middle = offset > workArea.width / 4 && offset < workArea.width * 3 / 4;
+                return middle ? 'top' : 'top-half';
+            }
+            case 'maximize':
+            default:
+                return 'top';
+        }
+    }
+
+    /**
+     * Get the third of the work area an X position falls into
+     * @param {number} x
+     * @param {import('../utils/Geometry.js').Rect} workArea
+     * @returns {'left-third'|'center-third'|'right-third'}
+     * @private
+     */
+    _getThirdAt(x, workArea) {
+        const segment = Math.floor((x - workArea.x) / (workArea.width / 3));
+        return ['left-third', 'center-third', 'right-third'][Math.min(Math.max(segment, 0), 2)];
+    }
+
+    /**
+     * Check whether a monitor offers thirds snap zones
+     * @param {number} monitorIndex
+     * @returns {boolean}
+     * @private
+     */
+    _hasThirds(monitorIndex) {
+        switch (this._settings.snapThirds) {
+            case 'always':
+                return true;
+            case 'never':
+                return false;
+            case 'ultrawide':
+            default:
+                return this._layoutEngine.isUltrawide(monitorIndex);
+        }
+    }
+
     /**
      * Register callback for snap detected (when drag ends in a zone)
      * @param {SnapCallback} callback
@@ -254,7 +353,7 @@ export class SnapDetector {
 
     /**
      * Register callback for zone changes during drag
-     * @param {function(SnapZone, number): void} callback
+     * @param {function(SnapZone, number, Meta.Window): void} callback
      */
     onZoneChanged(callback) {
         this._onZoneChanged.add(callback);
@@ -273,11 +372,12 @@ export class SnapDetector {
     /**
      * @param {SnapZone} zone
      * @param {number} monitorIndex
+     * @param {Meta.Window} window - The window being dragged
      * @private
      */
-    _emitZoneChanged(zone, monitorIndex) {
+    _emitZoneChanged(zone, monitorIndex, window) {
         for (const cb of this._onZoneChanged) {
-            try { cb(zone, monitorIndex); } catch (e) { this._logger.error('Callback error:', e); }
+            try { cb(zone, monitorIndex, window); } catch (e) { this._logger.error('Callback error:', e); }
         }
     }
 
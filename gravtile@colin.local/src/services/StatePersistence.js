@@ -0,0 +1,104 @@
+/**
+ * StatePersistence - Saves tiling state to disk and loads it back
+ *
+ * @description Keeps a versioned JSON snapshot of the layouts in the
+ * user data dir (~/.local/share/gravtile/state.json), so layouts survive
+ * the extension being disabled on the lock screen and shell restarts.
+ * Snapshots of another version are ignored rather than migrated.
+ */
+
+import GLib from 'gi://GLib';
+
+const STATE_VERSION = 1;
+
+/**
+ * Identity of a window, used to find it again after a restart
+ * @typedef {Object} SavedWindow
+ * @property {number} id - Stable sequence when saved (only valid within a session)
+ * @property {string} wmClass
+ * @property {string} title
+ * @property {number} pid
+ * @property {string|null} [appId] - Desktop file ID, to launch the app again
+ * @property {Partial<import('../core/StateStore.js').WindowState>} state - See StateStore.serialize()
+ */
+
+/**
+ * @typedef {Object} SavedLayout
+ * @property {number} workspaceIndex
+ * @property {number} monitorIndex
+ * @property {string|null} monitorKey - Key of the monitor when saved
+ * @property {import('../core/LayoutEngine.js').LayoutMode|null} mode
+ * @property {number|null} masterRatio
+ * @property {import('../core/LayoutTree.js').LayoutNode} root
+ */
+
+/**
+ * @typedef {Object} SavedState
+ * @property {number} version
+ * @property {number} savedAt - Unix time in milliseconds
+ * @property {SavedLayout[]} layouts
+ * @property {SavedWindow[]} windows
+ */
+
+export class StatePersistence {
+    /** @type {import('../utils/Logger.js').Logger} */
+    _logger;
+
+    /** @type {string} */
+    _path;
+
+    /**
+     * @param {import('../utils/Logger.js').Logger} logger
+     */
+    constructor(logger) {
+        this._logger = logger.child('StatePersistence');
+        this._path = GLib.build_filenamev([GLib.get_user_data_dir(), 'gravtile', 'state.json']);
+    }
+
+    /**
+     * Write a snapshot, replacing the previous one
+     * @param {{layouts: SavedLayout[], windows: SavedWindow[]}} snapshot
+     */
+    save(snapshot) {
+        /** @type {SavedState} */
+        const state = {
+            version: STATE_VERSION,
+            savedAt: Date.now(),
+            ...snapshot,
+        };
+
+        try {
+            GLib.mkdir_with_parents(GLib.path_get_dirname(this._path), 0o755);
+            GLib.file_set_contents(this._path, JSON.stringify(state));
+
+            this._logger.debug(
+                `Saved ${state.layouts.length} layouts, ${state.windows.length} windows`
+            );
+        } catch (e) {
+            this._logger.error(`Failed to save state to ${this._path}:`, e);
+        }
+    }
+
+    /**
+     * Read the last snapshot
+     * @returns {SavedState|null} null if there is none or it can't be used
+     */
+    load() {
+        if (!GLib.file_test(this._path, GLib.FileTest.EXISTS)) return null;
+
+        try {
+            const [, contents] = GLib.file_get_contents(this._path);
+            const state = JSON.parse(new TextDecoder().decode(contents));
+
+            if (state.version !== STATE_VERSION) {
+                this._logger.warn(`Ignoring saved state of version ${state.version}`);
+                return null;
+            }
+
+            return state;
+        } catch (e) {
+            this._logger.error(`Failed to load state from ${this._path}:`, e);
+            return null;
+        }
+    }
+}
@@ -10,7 +10,6 @@ import Meta from 'gi://Meta';
 import GLib from 'gi://GLib';
 import { GnomeCompat } from '../utils/GnomeCompat.js';
 import { getCenter } from '../utils/Geometry.js';
-import { CONFIG } from '../constants.js';
 
 /**
  * @typedef {import('../utils/Geometry.js').Rect} Rect
@@ -36,6 +35,9 @@ export class SwapDetector {
     /** @type {import('../core/StateStore.js').StateStore} */
     _stateStore;
 
+    /** @type {import('./SettingsService.js').SettingsService} */
+    _settings;
+
     /** @type {number[]} */
     _signalIds = [];
 
@@ -63,10 +65,12 @@ export class SwapDetector {
     /**
      * @param {import('../utils/Logger.js').Logger} logger
      * @param {import('../core/StateStore.js').StateStore} stateStore
+     * @param {import('./SettingsService.js').SettingsService} settings
      */
-    constructor(logger, stateStore) {
+    constructor(logger, stateStore, settings) {
         this._logger = logger.child('SwapDetector');
         this._stateStore = stateStore;
+        this._settings = settings;
     }
 
     /**
@@ -170,13 +174,14 @@ export class SwapDetector {
         if (monitorIndex < 0) return false;
 
         const workArea = GnomeCompat.getWorkArea(monitorIndex);
-        const threshold = CONFIG.SNAP_THRESHOLD;
+        const threshold = this._settings.snapThreshold;
 
         const left = x < workArea.x + threshold;
         const right = x > workArea.x + workArea.width - threshold;
         const top = y < workArea.y + threshold;
+        const bottom = y > workArea.y + workArea.height - threshold;
 
-        return left || right || top;
+        return left || right || top || bottom;
     }
 
     /**
@@ -0,0 +1,493 @@
+/**
+ * TilingModeService - Modal keyboard mode for tiling commands
+ *
+ * @description One shortcut enters the tiling mode. While it is active
+ * the keyboard is grabbed through the shell's modal mode and single keys
+ * run the same commands as the keybindings: focus, swap and move with
+ * h/j/k/l, Shift+h/j/k/l and the arrows, layout modes with the digits.
+ * 'r' switches to the resize sub-mode, where h/j/k/l grow and
+ * Shift+h/j/k/l shrink the focused window. Escape goes back from the
+ * sub-mode and leaves the tiling mode; so does a click anywhere.
+ * An indicator lists the keys of the active mode.
+ *
+ * Picking a window by its hint label (to focus it, or to swap or move
+ * the focused window there) is a sub-mode too. Its own shortcuts enter
+ * the mode just for one pick.
+ */
+
+import Clutter from 'gi://Clutter';
+import { GnomeCompat } from '../utils/GnomeCompat.js';
+import { TilingModeIndicator } from '../ui/TilingModeIndicator.js';
+import { HintOverlay } from '../ui/HintOverlay.js';
+import { getCenter } from '../utils/Geometry.js';
+
+/**
+ * @typedef {'normal'|'resize'|'hint'} SubMode
+ */
+
+/**
+ * What picking a window by its hint label does
+ * @typedef {'focus'|'swap'|'move'} HintAction
+ */
+
+/**
+ * Keys bound in a sub-mode
+ * @typedef {Object} ModeBinding
+ * @property {string[]} keys - Key names as given by Clutter.keyval_name()
+ * @property {string} hint - How the keys are shown in the indicator
+ * @property {string} action - What the keys do, for the indicator
+ * @property {function(TilingModeService, number): void} run - Gets the index of the pressed key
+ */
+
+/** Direction names of the keybinding keys, in h/j/k/l order */
+const DIRECTIONS = ['left', 'down', 'up', 'right'];
+
+/** @type {import('../core/LayoutEngine.js').LayoutMode[]} Layout modes of the keys 1 to 3 */
+const LAYOUT_MODES = ['bsp', 'master-stack', 'centered-master'];
+
+/** Hint labels, home row first */
+const HINT_LETTERS = 'asdfghjklqwertyuiopzxcvbnm';
+
+/** @type {Object<string, HintAction>} Shortcut of each hint action */
+const HINT_KEYBINDINGS = {
+    'hint-focus': 'focus',
+    'hint-swap': 'swap',
+    'hint-move': 'move',
+};
+
+/** @type {Object<SubMode, {title: string, bindings: ModeBinding[]}>} */
+const KEYMAPS = {
+    normal: {
+        title: 'Tiling',
+        bindings: [
+            {
+                keys: ['h', 'j', 'k', 'l'],
+                hint: 'h j k l',
+                action: 'Focus',
+                run: (mode, i) => mode._runKeybinding(`focus-${DIRECTIONS[i]}`),
+            },
+            {
+                keys: ['H', 'J', 'K', 'L'],
+                hint: 'H J K L',
+                action: 'Swap',
+                run: (mode, i) => mode._runKeybinding(`swap-${DIRECTIONS[i]}`),
+            },
+            {
+                keys: ['Left', 'Down', 'Up', 'Right'],
+                hint: '← ↓ ↑ →',
+                action: 'Move',
+                run: (mode, i) => mode._runKeybinding(`move-${DIRECTIONS[i]}`),
+            },
+            {
+                keys: ['1', '2', '3'],
+                hint: '1 2 3',
+                action: 'BSP, master-stack, centered-master layout',
+                run: (mode, i) => mode._setLayoutMode(LAYOUT_MODES[i]),
+            },
+            {
+                keys: ['0'],
+                hint: '0',
+                action: 'Layout from settings',
+                run: mode => mode._setLayoutMode(null),
+            },
+            {
+                keys: ['w', 's', 'g'],
+                hint: 'w s g',
+                action: 'Focus, swap with, move to a labeled window',
+                run: (mode, i) => mode.pickWindow(['focus', 'swap', 'move'][i]),
+            },
+            {
+                keys: ['f'],
+                hint: 'f',
+                action: 'Tile or float',
+                run: mode => mode._runKeybinding('toggle-tiled'),
+            },
+            {
+                keys: ['m'],
+                hint: 'm',
+                action: 'Maximize in layout',
+                run: mode => mode._runKeybinding('maximize-in-layout'),
+            },
+            {
+                keys: ['u', 'U'],
+                hint: 'u U',
+                action: 'Undo, redo',
+                run: (mode, i) => (i === 0 ? mode._tileManager.undo() : mode._tileManager.redo()),
+            },
+            {
+                keys: ['r'],
+                hint: 'r',
+                action: 'Resize',
+                run: mode => mode._switchTo('resize'),
+            },
+            {
+                keys: ['Escape'],
+                hint: 'Esc',
+                action: 'Leave',
+                run: mode => mode.leave(),
+            },
+        ],
+    },
+    resize: {
+        title: 'Tiling: resize',
+        bindings: [
+            {
+                keys: ['h', 'j', 'k', 'l'],
+                hint: 'h j k l',
+                action: 'Grow',
+                run: (mode, i) => mode._runKeybinding(`grow-${DIRECTIONS[i]}`),
+            },
+            {
+                keys: ['H', 'J', 'K', 'L'],
+                hint: 'H J K L',
+                action: 'Shrink',
+                run: (mode, i) => mode._runKeybinding(`shrink-${DIRECTIONS[i]}`),
+            },
+            {
+                keys: ['Escape', 'r'],
+                hint: 'Esc',
+                action: 'Back',
+                run: mode => mode._switchTo('normal'),
+            },
+        ],
+    },
+    hint: {
+        title: 'Tiling: type a label',
+        bindings: [
+            {
+                keys: ['Escape'],
+                hint: 'Esc',
+                action: 'Cancel',
+                run: mode => mode._endPick(),
+            },
+        ],
+    },
+};
+
+export class TilingModeService {
+    /** @type {import('../utils/Logger.js').Logger} */
+    _logger;
+
+    /** @type {import('./SettingsService.js').SettingsService} */
+    _settings;
+
+    /** @type {import('../core/TileManager.js').TileManager} */
+    _tileManager;
+
+    /** @type {import('./KeybindingService.js').KeybindingService} */
+    _keybindingService;
+
+    /** @type {TilingModeIndicator} */
+    _indicator;
+
+    /** @type {HintOverlay} */
+    _hintOverlay;
+
+    /** @type {Map<string, number>|null} Window of each hint label while picking */
+    _hints = null;
+
+    /** @type {HintAction} */
+    _hintAction = 'focus';
+
+    /** @type {number|null} Window focused when the pick started */
+    _pickingWindowId = null;
+
+    /** @type {boolean} Whether the mode was entered just for the pick */
+    _pickOnly = false;
+
+    /** @type {Clutter.Grab|null} Modal grab while the mode is active */
+    _grab = null;
+
+    /** @type {SubMode} */
+    _subMode = 'normal';
+
+    /** @type {number} Monitor the indicator is shown on */
+    _monitorIndex = 0;
+
+    /** @type {number[]} Signals of the indicator while the mode is active */
+    _signalIds = [];
+
+    /** @type {string[]} Names of the registered keybindings */
+    _registered = [];
+
+    /**
+     * @param {import('../utils/Logger.js').Logger} logger
+     * @param {import('./SettingsService.js').SettingsService} settings
+     * @param {import('../core/TileManager.js').TileManager} tileManager
+     * @param {import('./KeybindingService.js').KeybindingService} keybindingService - Runs the window commands
+     */
+    constructor(logger, settings, tileManager, keybindingService) {
+        this._logger = logger.child('TilingModeService');
+        this._settings = settings;
+        this._tileManager = tileManager;
+        this._keybindingService = keybindingService;
+        this._indicator = new TilingModeIndicator(this._logger);
+        this._hintOverlay = new HintOverlay(this._logger);
+    }
+
+    /**
+     * Register the shortcuts entering the mode
+     */
+    enable() {
+        GnomeCompat.addKeybinding('tiling-mode', this._settings.gioSettings, () => {
+            if (this.isActive) this.leave();
+            else this.enter();
+        });
+        this._registered.push('tiling-mode');
+
+        for (const [name, action] of Object.entries(HINT_KEYBINDINGS)) {
+            GnomeCompat.addKeybinding(name, this._settings.gioSettings, () => this.pickWindow(action));
+            this._registered.push(name);
+        }
+    }
+
+    /**
+     * Leave the mode and unregister its shortcuts
+     */
+    disable() {
+        this.leave();
+
+        for (const name of this._registered) {
+            GnomeCompat.removeKeybinding(name);
+        }
+        this._registered = [];
+
+        this._indicator.destroy();
+        this._hintOverlay.destroy();
+    }
+
+    /**
+     * @returns {boolean} Whether the mode is active
+     */
+    get isActive() {
+        return this._grab !== null;
+    }
+
+    /**
+     * Grab the keyboard and show the indicator
+     */
+    enter() {
+        if (this.isActive) return;
+
+        const focused = GnomeCompat.getFocusedWindow();
+        this._monitorIndex = focused
+            ? GnomeCompat.getWindowMonitor(focused)
+            : GnomeCompat.getCurrentMonitor();
+
+        const actor = this._indicator.actor;
+        this._subMode = 'normal';
+        this._showIndicator();
+
+        this._grab = GnomeCompat.pushModal(actor);
+        if (!this._grab) {
+            this._logger.warn('Keyboard is grabbed by someone else, not entering tiling mode');
+            this._indicator.hide();
+            return;
+        }
+
+        this._signalIds = [
+            actor.connect('key-press-event', (_actor, event) => this._onKeyPress(event)),
+            actor.connect('button-press-event', () => {
+                this.leave();
+                return Clutter.EVENT_STOP;
+            }),
+        ];
+
+        this._logger.info('Entered tiling mode');
+    }
+
+    /**
+     * Release the keyboard and hide the indicator
+     */
+    leave() {
+        if (!this.isActive) return;
+
+        this._hintOverlay.hide();
+        this._hints = null;
+        this._pickOnly = false;
+
+        const actor = this._indicator.actor;
+        for (const id of this._signalIds) {
+            actor.disconnect(id);
+        }
+        this._signalIds = [];
+
+        GnomeCompat.popModal(this._grab);
+        this._grab = null;
+        this._indicator.hide();
+
+        this._logger.info('Left tiling mode');
+    }
+
+    /**
+     * Label the tiled windows and wait for one to be picked by typing
+     * its label. Outside the tiling mode, the mode is entered just for
+     * the pick.
+     * @param {HintAction} action
+     */
+    pickWindow(action) {
+        const focused = GnomeCompat.getFocusedWindow();
+        const focusedId = focused?.get_stable_sequence() ?? null;
+
+        if (action !== 'focus' && !this._tileManager.getTiledWindow(focusedId)?.isTiled) {
+            this._logger.debug(`No focused tiled window to ${action}`);
+            return;
+        }
+
+        // Left to right across all monitors, so labels follow the screen
+        const windows = this._tileManager.getVisibleTiledWindows()
+            .filter(state => action === 'focus' || state.id !== focusedId)
+            .sort((a, b) => getCenter(a.rect).x - getCenter(b.rect).x ||
+                getCenter(a.rect).y - getCenter(b.rect).y)
+            .slice(0, HINT_LETTERS.length);
+        if (windows.length === 0) {
+            this._logger.debug('No tiled windows to pick');
+            return;
+        }
+
+        if (!this.isActive) {
+            this.enter();
+            if (!this.isActive) return;
+            this._pickOnly = true;
+        }
+
+        this._hints = new Map(windows.map((state, i) => [HINT_LETTERS[i], state.id]));
+        this._hintAction = action;
+        this._pickingWindowId = focusedId;
+
+        this._hintOverlay.show(windows.map((state, i) => ({ label: HINT_LETTERS[i], rect: state.rect })),
+            action);
+        this._switchTo('hint');
+    }
+
+    /**
+     * Run the binding of a pressed key in the active sub-mode
+     * @param {Clutter.Event} event
+     * @returns {boolean} Clutter.EVENT_STOP
+     * @private
+     */
+    _onKeyPress(event) {
+        const key = Clutter.keyval_name(event.get_key_symbol());
+
+        if (this._hints?.has(key)) {
+            this._pick(this._hints.get(key));
+            return Clutter.EVENT_STOP;
+        }
+
+        for (const binding of KEYMAPS[this._subMode].bindings) {
+            const index = binding.keys.indexOf(key);
+            if (index < 0) continue;
+
+            try {
+                binding.run(this, index);
+            } catch (e) {
+                this._logger.error(`Tiling mode key ${key} failed:`, e);
+            }
+            return Clutter.EVENT_STOP;
+        }
+
+        this._logger.debug(`Key ${key} is not bound in ${this._subMode} mode`);
+        return Clutter.EVENT_STOP;
+    }
+
+    /**
+     * @param {SubMode} subMode
+     * @private
+     */
+    _switchTo(subMode) {
+        this._subMode = subMode;
+        this._showIndicator();
+    }
+
+    /**
+     * Show the keys of the active sub-mode
+     * @private
+     */
+    _showIndicator() {
+        const keymap = KEYMAPS[this._subMode];
+        this._indicator.show(this._monitorIndex, keymap.title,
+            keymap.bindings.map(({ hint, action }) => ({ keys: hint, action })));
+    }
+
+    /**
+     * Run a keybinding's command; the grab doesn't take the focus
+     * from the window, so it applies to the focused window as usual
+     * @param {string} name - Key of the keybinding
+     * @private
+     */
+    _runKeybinding(name) {
+        this._keybindingService.run(name);
+        this._followFocus();
+    }
+
+    /**
+     * Move the indicator to the monitor of the focused window, which
+     * may have changed
+     * @private
+     */
+    _followFocus() {
+        if (!this.isActive) return;
+
+        const focused = GnomeCompat.getFocusedWindow();
+        if (focused && GnomeCompat.getWindowMonitor(focused) !== this._monitorIndex) {
+            this._monitorIndex = GnomeCompat.getWindowMonitor(focused);
+            this._showIndicator();
+        }
+    }
+
+    /**
+     * @param {import('../core/LayoutEngine.js').LayoutMode|null} mode
+     * @private
+     */
+    _setLayoutMode(mode) {
+        this._tileManager.setLayoutMode(this._monitorIndex, mode);
+    }
+
+    /**
+     * Run the pick's action on the picked window
+     * @param {number} windowId
+     * @private
+     */
+    _pick(windowId) {
+        const action = this._hintAction;
+        const pickingWindowId = this._pickingWindowId;
+        this._endPick();
+
+        this._logger.debug(`Picked window ${windowId} to ${action}`);
+
+        try {
+            switch (action) {
+                case 'focus':
+                    this._tileManager.focusWindow(windowId);
+                    break;
+                case 'swap':
+                    this._tileManager.swapWith(pickingWindowId, windowId);
+                    break;
+                case 'move':
+                    this._tileManager.moveInto(pickingWindowId, windowId);
+                    break;
+            }
+        } catch (e) {
+            this._logger.error(`Picking a window to ${action} failed:`, e);
+        }
+
+        this._followFocus();
+    }
+
+    /**
+     * Remove the labels and go back to the normal sub-mode, or leave
+     * the mode if it was entered just for the pick
+     * @private
+     */
+    _endPick() {
+        this._hintOverlay.hide();
+        this._hints = null;
+        this._pickingWindowId = null;
+
+        if (this._pickOnly) {
+            this.leave();
+        } else {
+            this._switchTo('normal');
+        }
+    }
+}
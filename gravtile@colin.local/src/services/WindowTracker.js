@@ -2,7 +2,10 @@
  * WindowTracker - Monitors window lifecycle events
  * 
  * @description Tracks window creation, destruction, focus changes,
- * and movement. Emits events for the TileManager to react to.
+ * title changes and movement between workspaces. Windows on every
+ * workspace are tracked, dialogs and fixed-size windows too, so window
+ * rules can match them; TileManager decides which ones it manages.
+ * Emits events for the TileManager to react to.
  */
 
 import Meta from 'gi://Meta';
@@ -44,6 +47,12 @@ export class WindowTracker {
     /** @type {Set<WindowEventCallback>} */
     _onWindowFocused = new Set();
 
+    /** @type {Set<WindowEventCallback>} */
+    _onWindowWorkspaceChanged = new Set();
+
+    /** @type {Set<WindowEventCallback>} */
+    _onWindowTitleChanged = new Set();
+
     /**
      * @param {import('../utils/Logger.js').Logger} logger
      */
@@ -63,7 +72,7 @@ export class WindowTracker {
         this._signalIds.push(createdId);
 
         // Track existing windows
-        const existingWindows = GnomeCompat.getWorkspaceWindows();
+        const existingWindows = GnomeCompat.getAllWindows();
         for (const metaWindow of existingWindows) {
             if (this._shouldTrack(metaWindow)) {
                 this._trackWindow(metaWindow);
@@ -101,6 +110,8 @@ export class WindowTracker {
         this._onWindowCreated.clear();
         this._onWindowRemoved.clear();
         this._onWindowFocused.clear();
+        this._onWindowWorkspaceChanged.clear();
+        this._onWindowTitleChanged.clear();
     }
 
     /**
@@ -109,13 +120,8 @@ export class WindowTracker {
      * @returns {boolean}
      */
     _shouldTrack(metaWindow) {
-        // Only track normal windows
-        if (!GnomeCompat.isNormalWindow(metaWindow)) {
-            return false;
-        }
-
-        // Skip non-resizable windows (like some dialogs)
-        if (!GnomeCompat.isResizable(metaWindow)) {
+        // Only track application windows (not menus, tooltips, docks, ...)
+        if (GnomeCompat.getWindowType(metaWindow) === 'other') {
             return false;
         }
 
@@ -173,6 +179,15 @@ export class WindowTracker {
             this._emitWindowFocused(tracked);
         }));
 
+        signals.push(metaWindow.connect('workspace-changed', () => {
+            this._emitWindowWorkspaceChanged(tracked);
+        }));
+
+        signals.push(metaWindow.connect('notify::title', () => {
+            tracked.title = metaWindow.get_title() || 'Unknown';
+            this._emitWindowTitleChanged(tracked);
+        }));
+
         this._windowSignals.set(id, signals);
 
         this._logger.debug(`Tracking window: ${tracked.title} (${tracked.wmClass})`);
@@ -248,6 +263,22 @@ export class WindowTracker {
         this._onWindowFocused.add(callback);
     }
 
+    /**
+     * Register callback for a window moving to another workspace
+     * @param {WindowEventCallback} callback
+     */
+    onWindowWorkspaceChanged(callback) {
+        this._onWindowWorkspaceChanged.add(callback);
+    }
+
+    /**
+     * Register callback for a window changing its title
+     * @param {WindowEventCallback} callback
+     */
+    onWindowTitleChanged(callback) {
+        this._onWindowTitleChanged.add(callback);
+    }
+
     /** @param {TrackedWindow} window */
     _emitWindowCreated(window) {
         for (const cb of this._onWindowCreated) {
@@ -268,4 +299,18 @@ export class WindowTracker {
             try { cb(window); } catch (e) { this._logger.error('Callback error:', e); }
         }
     }
+
+    /** @param {TrackedWindow} window */
+    _emitWindowWorkspaceChanged(window) {
+        for (const cb of this._onWindowWorkspaceChanged) {
+            try { cb(window); } catch (e) { this._logger.error('Callback error:', e); }
+        }
+    }
+
+    /** @param {TrackedWindow} window */
+    _emitWindowTitleChanged(window) {
+        for (const cb of this._onWindowTitleChanged) {
+            try { cb(window); } catch (e) { this._logger.error('Callback error:', e); }
+        }
+    }
 }
@@ -0,0 +1,113 @@
+/**
+ * HintOverlay - Letter labels on tiled windows
+ *
+ * @description Shows a letter in the middle of each tiled window, so a
+ * window can be picked by typing its letter. Labels are colored by what
+ * picking does: blue to focus, orange to swap, purple to move.
+ */
+
+import Clutter from 'gi://Clutter';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+/**
+ * @typedef {import('../utils/Geometry.js').Rect} Rect
+ */
+
+/**
+ * @typedef {Object} Hint
+ * @property {string} label
+ * @property {Rect} rect - Window the label is on
+ */
+
+/** Label size (px) */
+const LABEL_SIZE = 72;
+
+/** @type {Object<string, string>} Label background of each action */
+const ACTION_COLORS = {
+    focus: 'rgba(53, 132, 228, 0.9)',
+    swap: 'rgba(255, 120, 0, 0.9)',
+    move: 'rgba(150, 50, 200, 0.9)',
+};
+
+export class HintOverlay {
+    /** @type {import('../utils/Logger.js').Logger} */
+    _logger;
+
+    /** @type {St.Bin[]} */
+    _labels = [];
+
+    /**
+     * @param {import('../utils/Logger.js').Logger} logger
+     */
+    constructor(logger) {
+        this._logger = logger.child('HintOverlay');
+    }
+
+    /**
+     * Show labels, replacing those shown before
+     * @param {Hint[]} hints
+     * @param {'focus'|'swap'|'move'} action - What picking a window does
+     */
+    show(hints, action) {
+        this.hide();
+
+        for (const hint of hints) {
+            const label = new St.Bin({
+                style: `
+                    background-color: ${ACTION_COLORS[action]};
+                    border: 2px solid rgba(255, 255, 255, 0.8);
+                    border-radius: 12px;
+                `,
+                child: new St.Label({
+                    text: hint.label,
+                    style: `
+                        font-size: 40px;
+                        font-weight: bold;
+                        color: white;
+                    `,
+                    x_align: Clutter.ActorAlign.CENTER,
+                    y_align: Clutter.ActorAlign.CENTER,
+                }),
+                width: LABEL_SIZE,
+                height: LABEL_SIZE,
+                opacity: 0,
+            });
+            label.set_position(
+                Math.round(hint.rect.x + (hint.rect.width - LABEL_SIZE) / 2),
+                Math.round(hint.rect.y + (hint.rect.height - LABEL_SIZE) / 2)
+            );
+
+            Main.layoutManager.addChrome(label, {
+                affectsInputRegion: false,
+                trackFullscreen: true,
+            });
+            label.ease({
+                opacity: 255,
+                duration: 100,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+            });
+            this._labels.push(label);
+        }
+
+        this._logger.debug(`Showing ${hints.length} ${action} hints`);
+    }
+
+    /**
+     * Remove the labels
+     */
+    hide() {
+        for (const label of this._labels) {
+            Main.layoutManager.removeChrome(label);
+            label.destroy();
+        }
+        this._labels = [];
+    }
+
+    /**
+     * Remove the labels; nothing else is kept between uses
+     */
+    destroy() {
+        this.hide();
+    }
+}
@@ -5,6 +5,7 @@
  * a window into a snap zone, indicating where it will be placed.
  */
 
+import Clutter from 'gi://Clutter';
 import St from 'gi://St';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import { LayoutEngine } from '../core/LayoutEngine.js';
@@ -16,9 +17,12 @@ export class SnapOverlay {
     /** @type {LayoutEngine} */
     _layoutEngine;
 
-    /** @type {St.Widget|null} */
+    /** @type {St.Bin|null} */
     _overlay = null;
 
+    /** @type {St.Label|null} */
+    _ratioLabel = null;
+
     /** @type {boolean} */
     _visible = false;
 
@@ -35,14 +39,15 @@ export class SnapOverlay {
      * Show the snap preview at a specific zone
      * @param {import('../services/SnapDetector.js').SnapZone} zone
      * @param {number} monitorIndex
+     * @param {number|null} [ratio=null] - Width share the snap will use, shown as a label
      */
-    show(zone, monitorIndex) {
+    show(zone, monitorIndex, ratio = null) {
         if (!zone) {
             this.hide();
             return;
         }
 
-        const rect = this._layoutEngine.calculateSnapRect(zone, monitorIndex);
+        const rect = this._layoutEngine.calculateSnapRect(zone, monitorIndex, ratio);
 
         if (!this._overlay) {
             this._createOverlay();
@@ -51,12 +56,15 @@ export class SnapOverlay {
         this._overlay.set_position(rect.x, rect.y);
         this._overlay.set_size(rect.width, rect.height);
 
+        this._ratioLabel.text = ratio ? this._formatRatio(ratio) : '';
+        this._ratioLabel.visible = ratio !== null;
+
         if (!this._visible) {
             this._overlay.show();
             this._overlay.ease({
                 opacity: 255,
                 duration: 150,
-                mode: imports.gi.Clutter.AnimationMode.EASE_OUT_QUAD,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD,
             });
             this._visible = true;
         }
@@ -71,7 +79,7 @@ export class SnapOverlay {
         this._overlay.ease({
             opacity: 0,
             duration: 100,
-            mode: imports.gi.Clutter.AnimationMode.EASE_OUT_QUAD,
+            mode: Clutter.AnimationMode.EASE_OUT_QUAD,
             onComplete: () => {
                 this._overlay?.hide();
             },
@@ -79,12 +87,44 @@ export class SnapOverlay {
         this._visible = false;
     }
 
+    /**
+     * Format a width share as a fraction (0.333 → "1/3")
+     * @param {number} ratio
+     * @returns {string}
+     * @private
+     */
+    _formatRatio(ratio) {
+        for (let denominator = 2; denominator <= 4; denominator++) {
+            const numerator = Math.round(ratio * denominator);
+            if (Math.abs(numerator / denominator - ratio) < 0.001) {
+                return `${numerator}/${denominator}`;
+            }
+        }
+        return `${Math.round(ratio * 100)}%`;
+    }
+
     /**
      * Create the overlay widget
      * @private
      */
     _createOverlay() {
-        this._overlay = new St.Widget({
+        // Ratio of the next snap, centered in the preview
+        this._ratioLabel = new St.Label({
+            style: `
+                font-size: 32px;
+                font-weight: bold;
+                color: white;
+                text-shadow: 0 2px 4px rgba(0,0,0,0.5);
+            `,
+            x_align: Clutter.ActorAlign.CENTER,
+            y_align: Clutter.ActorAlign.CENTER,
+            x_expand: true,
+            y_expand: true,
+            visible: false,
+        });
+
+        this._overlay = new St.Bin({
+            child: this._ratioLabel,
             style_class: 'gravtile-snap-overlay',
             style: `
                 background-color: rgba(53, 132, 228, 0.3);
@@ -112,6 +152,7 @@ export class SnapOverlay {
             Main.layoutManager.removeChrome(this._overlay);
             this._overlay.destroy();
             this._overlay = null;
+            this._ratioLabel = null;
         }
         this._visible = false;
     }
@@ -5,8 +5,10 @@
  * 1. Where the dragged window will go (target's current position)
  * 2. Where the target window will go (dragged's original position)
  * Uses orange/purple colors to distinguish from blue snap overlay.
+ * Keyboard swaps and moves flash the same overlays briefly instead.
  */
 
+import GLib from 'gi://GLib';
 import St from 'gi://St';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 
@@ -30,6 +32,9 @@ export class SwapOverlay {
     /** @type {boolean} */
     _visible = false;
 
+    /** @type {number} */
+    _flashTimeoutId = 0;
+
     /**
      * @param {import('../utils/Logger.js').Logger} logger
      */
@@ -88,10 +93,39 @@ export class SwapOverlay {
         }
     }
 
+    /**
+     * Show the overlays for a moment, to confirm a swap or move that
+     * already happened
+     * @param {Rect} movedRect - Where the window now is
+     * @param {Rect} otherRect - Where the other window now is, or the moved window's old place
+     * @param {number} [duration=400] - Milliseconds before the overlays fade out
+     */
+    flash(movedRect, otherRect, duration = 400) {
+        this._clearFlash();
+        this.show(movedRect, otherRect);
+
+        this._flashTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, duration, () => {
+            this._flashTimeoutId = 0;
+            this.hide();
+            return GLib.SOURCE_REMOVE;
+        });
+    }
+
+    /**
+     * @private
+     */
+    _clearFlash() {
+        if (this._flashTimeoutId) {
+            GLib.source_remove(this._flashTimeoutId);
+            this._flashTimeoutId = 0;
+        }
+    }
+
     /**
      * Hide the swap preview
      */
     hide() {
+        this._clearFlash();
         if (!this._visible) return;
 
         const hideWidget = (widget) => {
@@ -173,6 +207,8 @@ export class SwapOverlay {
      * Clean up overlays
      */
     destroy() {
+        this._clearFlash();
+
         if (this._draggedOverlay) {
             Main.layoutManager.removeChrome(this._draggedOverlay);
             this._draggedOverlay.destroy();
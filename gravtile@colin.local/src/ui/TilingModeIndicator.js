@@ -0,0 +1,159 @@
+/**
+ * TilingModeIndicator - On-screen panel of the tiling mode
+ *
+ * @description Shows the name of the active tiling mode and the keys it
+ * binds, at the bottom of a monitor. Its widget is also what the tiling
+ * mode grabs the keyboard with, so key presses arrive on it.
+ */
+
+import Clutter from 'gi://Clutter';
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import { GnomeCompat } from '../utils/GnomeCompat.js';
+
+/**
+ * @typedef {Object} KeyHint
+ * @property {string} keys - Keys as shown, e.g. "h j k l"
+ * @property {string} action - What they do
+ */
+
+/** Distance from the bottom of the work area (px) */
+const BOTTOM_MARGIN = 48;
+
+export class TilingModeIndicator {
+    /** @type {import('../utils/Logger.js').Logger} */
+    _logger;
+
+    /** @type {St.BoxLayout|null} */
+    _panel = null;
+
+    /** @type {St.Label|null} */
+    _titleLabel = null;
+
+    /** @type {St.BoxLayout|null} */
+    _hintBox = null;
+
+    /**
+     * @param {import('../utils/Logger.js').Logger} logger
+     */
+    constructor(logger) {
+        this._logger = logger.child('TilingModeIndicator');
+    }
+
+    /**
+     * The panel widget, created on first use
+     * @returns {St.BoxLayout}
+     */
+    get actor() {
+        if (!this._panel) {
+            this._createPanel();
+        }
+        return this._panel;
+    }
+
+    /**
+     * Show the panel, or update it if already shown
+     * @param {number} monitorIndex
+     * @param {string} title
+     * @param {KeyHint[]} hints
+     */
+    show(monitorIndex, title, hints) {
+        const panel = this.actor;
+
+        this._titleLabel.text = title;
+        this._hintBox.destroy_all_children();
+        for (const hint of hints) {
+            const row = new St.BoxLayout({ style: 'spacing: 12px;' });
+            row.add_child(new St.Label({
+                text: hint.keys,
+                style: 'font-family: monospace; font-weight: bold; min-width: 110px;',
+            }));
+            row.add_child(new St.Label({ text: hint.action }));
+            this._hintBox.add_child(row);
+        }
+
+        // Size is known once the new rows are laid out
+        const [, naturalWidth] = panel.get_preferred_width(-1);
+        const [, naturalHeight] = panel.get_preferred_height(naturalWidth);
+        const workArea = GnomeCompat.getWorkArea(monitorIndex);
+        panel.set_position(
+            Math.round(workArea.x + (workArea.width - naturalWidth) / 2),
+            Math.round(workArea.y + workArea.height - naturalHeight - BOTTOM_MARGIN)
+        );
+
+        if (!panel.visible) {
+            panel.opacity = 0;
+            panel.show();
+            panel.ease({
+                opacity: 255,
+                duration: 150,
+                mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+            });
+        }
+    }
+
+    /**
+     * Hide the panel
+     */
+    hide() {
+        if (!this._panel?.visible) return;
+
+        this._panel.ease({
+            opacity: 0,
+            duration: 100,
+            mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+            onComplete: () => this._panel?.hide(),
+        });
+    }
+
+    /**
+     * Create the panel widget
+     * @private
+     */
+    _createPanel() {
+        this._panel = new St.BoxLayout({
+            style_class: 'gravtile-tiling-mode',
+            style: `
+                background-color: rgba(30, 30, 30, 0.9);
+                border: 2px solid rgba(53, 132, 228, 0.8);
+                border-radius: 12px;
+                padding: 12px 18px;
+                spacing: 8px;
+                color: white;
+            `,
+            vertical: true,
+            reactive: true,
+            can_focus: true,
+            visible: false,
+        });
+
+        this._titleLabel = new St.Label({
+            style: 'font-size: 16px; font-weight: bold;',
+        });
+        this._hintBox = new St.BoxLayout({
+            vertical: true,
+            style: 'spacing: 2px;',
+        });
+
+        this._panel.add_child(this._titleLabel);
+        this._panel.add_child(this._hintBox);
+
+        Main.layoutManager.addChrome(this._panel, {
+            affectsInputRegion: false,
+            trackFullscreen: true,
+        });
+    }
+
+    /**
+     * Destroy the panel
+     */
+    destroy() {
+        if (this._panel) {
+            Main.layoutManager.removeChrome(this._panel);
+            this._panel.destroy();
+            this._panel = null;
+            this._titleLabel = null;
+            this._hintBox = null;
+        }
+    }
+}
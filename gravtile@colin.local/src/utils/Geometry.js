@@ -13,6 +13,21 @@
  * @property {number} height
  */
 
+/**
+ * A rectangle relative to an area, each value a fraction of the area's
+ * width or height (x and y measured from the area's origin)
+ * @typedef {Object} FractionalRect
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * A side of a rectangle, or the direction towards it
+ * @typedef {'left'|'right'|'top'|'bottom'} Direction
+ */
+
 /**
  * Check if two rectangles overlap vertically
  * @param {Rect} a
@@ -83,6 +98,67 @@ export function getCenter(rect) {
     };
 }
 
+/**
+ * Get the area of a rectangle
+ * @param {Rect} rect
+ * @returns {number}
+ */
+export function getArea(rect) {
+    return rect.width * rect.height;
+}
+
+/**
+ * Check if a point lies inside a rectangle
+ * @param {Rect} rect
+ * @param {{x: number, y: number}} point
+ * @returns {boolean}
+ */
+export function containsPoint(rect, point) {
+    return point.x >= rect.x && point.x < getRightEdge(rect) &&
+        point.y >= rect.y && point.y < getBottomEdge(rect);
+}
+
+/**
+ * Check if one rectangle lies inside another
+ * @param {Rect} outer
+ * @param {Rect} inner
+ * @param {number} [tolerance=0] - Pixels inner may stick out per edge
+ * @returns {boolean}
+ */
+export function containsRect(outer, inner, tolerance = 0) {
+    return inner.x >= outer.x - tolerance &&
+        inner.y >= outer.y - tolerance &&
+        getRightEdge(inner) <= getRightEdge(outer) + tolerance &&
+        getBottomEdge(inner) <= getBottomEdge(outer) + tolerance;
+}
+
+/**
+ * Get the area two rectangles share
+ * @param {Rect} a
+ * @param {Rect} b
+ * @returns {number} 0 if they don't intersect
+ */
+export function getOverlapArea(a, b) {
+    const width = Math.min(getRightEdge(a), getRightEdge(b)) - Math.max(a.x, b.x);
+    const height = Math.min(getBottomEdge(a), getBottomEdge(b)) - Math.max(a.y, b.y);
+    return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * Get the length two rectangles share across a direction, e.g. the
+ * vertical overlap of windows next to each other for 'left' and 'right'
+ * @param {Rect} a
+ * @param {Rect} b
+ * @param {Direction} direction
+ * @returns {number} 0 if they don't overlap
+ */
+export function getEdgeOverlap(a, b, direction) {
+    const overlap = direction === 'left' || direction === 'right'
+        ? Math.min(getBottomEdge(a), getBottomEdge(b)) - Math.max(a.y, b.y)
+        : Math.min(getRightEdge(a), getRightEdge(b)) - Math.max(a.x, b.x);
+    return Math.max(overlap, 0);
+}
+
 /**
  * Check if a point is near an edge
  * @param {number} point
@@ -128,31 +204,33 @@ export function getAdjacency(a, b, tolerance = 10) {
 /**
  * Calculate a rectangle for snapping to left half of work area
  * @param {Rect} workArea
- * @param {number} gap - Gap from edges and between windows
+ * @param {number} gap - Gap between windows
+ * @param {number} [outerGap=gap] - Gap from edges
  * @returns {Rect}
  */
-export function getLeftHalfRect(workArea, gap = 8) {
+export function getLeftHalfRect(workArea, gap = 8, outerGap = gap) {
     return {
-        x: workArea.x + gap,
-        y: workArea.y + gap,
-        width: Math.floor((workArea.width - gap * 3) / 2),
-        height: workArea.height - gap * 2,
+        x: workArea.x + outerGap,
+        y: workArea.y + outerGap,
+        width: Math.floor((workArea.width - outerGap * 2 - gap) / 2),
+        height: workArea.height - outerGap * 2,
     };
 }
 
 /**
  * Calculate a rectangle for snapping to right half of work area
  * @param {Rect} workArea
- * @param {number} gap - Gap from edges and between windows
+ * @param {number} gap - Gap between windows
+ * @param {number} [outerGap=gap] - Gap from edges
  * @returns {Rect}
  */
-export function getRightHalfRect(workArea, gap = 8) {
-    const halfWidth = Math.floor((workArea.width - gap * 3) / 2);
+export function getRightHalfRect(workArea, gap = 8, outerGap = gap) {
+    const halfWidth = Math.floor((workArea.width - outerGap * 2 - gap) / 2);
     return {
-        x: workArea.x + workArea.width - halfWidth - gap,
-        y: workArea.y + gap,
+        x: workArea.x + workArea.width - halfWidth - outerGap,
+        y: workArea.y + outerGap,
         width: halfWidth,
-        height: workArea.height - gap * 2,
+        height: workArea.height - outerGap * 2,
     };
 }
 
@@ -170,3 +248,33 @@ export function getMaximizedRect(workArea, gap = 8) {
         height: workArea.height - gap * 2,
     };
 }
+
+/**
+ * Express a rectangle as fractions of an area
+ * @param {Rect} rect
+ * @param {Rect} area
+ * @returns {FractionalRect}
+ */
+export function toFractionalRect(rect, area) {
+    return {
+        x: (rect.x - area.x) / area.width,
+        y: (rect.y - area.y) / area.height,
+        width: rect.width / area.width,
+        height: rect.height / area.height,
+    };
+}
+
+/**
+ * Convert fractions of an area back to a pixel rectangle
+ * @param {FractionalRect} fraction
+ * @param {Rect} area
+ * @returns {Rect}
+ */
+export function fromFractionalRect(fraction, area) {
+    return {
+        x: Math.round(area.x + fraction.x * area.width),
+        y: Math.round(area.y + fraction.y * area.height),
+        width: Math.round(fraction.width * area.width),
+        height: Math.round(fraction.height * area.height),
+    };
+}
@@ -5,8 +5,13 @@
  * more resilient to API changes between GNOME versions.
  */
 
+import Clutter from 'gi://Clutter';
 import Meta from 'gi://Meta';
 import Mtk from 'gi://Mtk';
+import Shell from 'gi://Shell';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import { WindowMenu } from 'resource:///org/gnome/shell/ui/windowMenu.js';
 
 /**
  * @typedef {Object} Rect
@@ -16,6 +21,12 @@ import Mtk from 'gi://Mtk';
  * @property {number} height
  */
 
+/**
+ * @typedef {Object} MenuItem
+ * @property {string} label
+ * @property {function(): void} activate
+ */
+
 export const GnomeCompat = {
     /**
      * Get GNOME Shell version
@@ -88,6 +99,77 @@ export const GnomeCompat = {
         };
     },
 
+    /**
+     * Get the number of monitors
+     * @returns {number}
+     */
+    getMonitorCount() {
+        return global.display.get_n_monitors();
+    },
+
+    /**
+     * Get the number of workspaces
+     * @returns {number}
+     */
+    getWorkspaceCount() {
+        return global.workspace_manager.get_n_workspaces();
+    },
+
+    /**
+     * Move a window to another monitor, keeping its relative position
+     * @param {Meta.Window} metaWindow
+     * @param {number} monitorIndex
+     */
+    moveWindowToMonitor(metaWindow, monitorIndex) {
+        metaWindow.move_to_monitor(monitorIndex);
+    },
+
+    /**
+     * Move a window to another workspace
+     * @param {Meta.Window} metaWindow
+     * @param {number} workspaceIndex
+     */
+    moveWindowToWorkspace(metaWindow, workspaceIndex) {
+        metaWindow.change_workspace_by_index(workspaceIndex, false);
+    },
+
+    /**
+     * Get the index of the primary monitor
+     * @returns {number}
+     */
+    getPrimaryMonitor() {
+        return global.display.get_primary_monitor();
+    },
+
+    /**
+     * Get the monitor next to a monitor
+     * @param {number} monitorIndex
+     * @param {import('./Geometry.js').Direction} direction
+     * @returns {number} -1 if there is no monitor in that direction
+     */
+    getMonitorNeighbor(monitorIndex, direction) {
+        const directions = {
+            left: Meta.DisplayDirection.LEFT,
+            right: Meta.DisplayDirection.RIGHT,
+            top: Meta.DisplayDirection.UP,
+            bottom: Meta.DisplayDirection.DOWN,
+        };
+        return global.display.get_monitor_neighbor_index(monitorIndex, directions[direction]);
+    },
+
+    /**
+     * Get a key identifying a monitor by its place in the monitor setup
+     *
+     * Indices are reassigned when monitors come and go; the geometry of
+     * a monitor usually stays the same when it is plugged in again.
+     * @param {number} monitorIndex
+     * @returns {string}
+     */
+    getMonitorKey(monitorIndex) {
+        const geometry = global.display.get_monitor_geometry(monitorIndex);
+        return `${geometry.x},${geometry.y} ${geometry.width}x${geometry.height}`;
+    },
+
     /**
      * Get the monitor index for a window
      * @param {Meta.Window} metaWindow
@@ -97,6 +179,37 @@ export const GnomeCompat = {
         return metaWindow.get_monitor();
     },
 
+    /**
+     * Get the process ID of a window's client
+     * @param {Meta.Window} metaWindow
+     * @returns {number} 0 if unknown
+     */
+    getWindowPid(metaWindow) {
+        return Math.max(metaWindow.get_pid(), 0);
+    },
+
+    /**
+     * Get the desktop file ID of the app a window belongs to
+     * @param {Meta.Window} metaWindow
+     * @returns {string|null} e.g. 'org.gnome.Terminal.desktop'
+     */
+    getWindowAppId(metaWindow) {
+        return Shell.WindowTracker.get_default().get_window_app(metaWindow)?.get_id() ?? null;
+    },
+
+    /**
+     * Open a new window of an app
+     * @param {string} appId - Desktop file ID
+     * @returns {boolean} Whether the app was found
+     */
+    launchApp(appId) {
+        const app = Shell.AppSystem.get_default().lookup_app(appId);
+        if (!app) return false;
+
+        app.open_new_window(-1);
+        return true;
+    },
+
     /**
      * Check if a window is a normal application window (not a dialog, etc.)
      * @param {Meta.Window} metaWindow
@@ -106,6 +219,35 @@ export const GnomeCompat = {
         return metaWindow.get_window_type() === Meta.WindowType.NORMAL;
     },
 
+    /**
+     * Get the type of a window, as window rules name it
+     * @param {Meta.Window} metaWindow
+     * @returns {import('../core/RuleEngine.js').WindowType}
+     */
+    getWindowType(metaWindow) {
+        switch (metaWindow.get_window_type()) {
+            case Meta.WindowType.NORMAL:
+                return 'normal';
+            case Meta.WindowType.DIALOG:
+                return 'dialog';
+            case Meta.WindowType.MODAL_DIALOG:
+                return 'modal-dialog';
+            case Meta.WindowType.UTILITY:
+                return 'utility';
+            default:
+                return 'other';
+        }
+    },
+
+    /**
+     * Check if a window is transient for another one (e.g. its dialog)
+     * @param {Meta.Window} metaWindow
+     * @returns {boolean}
+     */
+    isTransient(metaWindow) {
+        return metaWindow.get_transient_for() !== null;
+    },
+
     /**
      * Check if a window can be resized
      * @param {Meta.Window} metaWindow
@@ -115,6 +257,15 @@ export const GnomeCompat = {
         return metaWindow.resizeable;
     },
 
+    /**
+     * Check if a window is minimized
+     * @param {Meta.Window} metaWindow
+     * @returns {boolean}
+     */
+    isMinimized(metaWindow) {
+        return metaWindow.minimized;
+    },
+
     /**
      * Get all windows on the active workspace
      * @returns {Meta.Window[]}
@@ -125,6 +276,59 @@ export const GnomeCompat = {
             .list_windows();
     },
 
+    /**
+     * Get all windows on every workspace
+     * @returns {Meta.Window[]}
+     */
+    getAllWindows() {
+        return global.get_window_actors().map(actor => actor.get_meta_window());
+    },
+
+    /**
+     * Get the index of the active workspace
+     * @returns {number}
+     */
+    getActiveWorkspaceIndex() {
+        return global.workspace_manager.get_active_workspace_index();
+    },
+
+    /**
+     * Get the index of the workspace a window is on
+     *
+     * Windows on all workspaces report the active workspace.
+     * @param {Meta.Window} metaWindow
+     * @returns {number} -1 while the window has no workspace (e.g. unmanaging)
+     */
+    getWindowWorkspace(metaWindow) {
+        return metaWindow.get_workspace()?.index() ?? -1;
+    },
+
+    /**
+     * Check if a window is shown on all workspaces
+     * @param {Meta.Window} metaWindow
+     * @returns {boolean}
+     */
+    isOnAllWorkspaces(metaWindow) {
+        return metaWindow.is_on_all_workspaces();
+    },
+
+    /**
+     * Get the window that has keyboard focus
+     * @returns {Meta.Window|null}
+     */
+    getFocusedWindow() {
+        return global.display.get_focus_window();
+    },
+
+    /**
+     * Get the windows of the active workspace, most recently used first
+     * @returns {Meta.Window[]}
+     */
+    getWindowsByRecentUse() {
+        return global.display.get_tab_list(Meta.TabList.NORMAL,
+            global.workspace_manager.get_active_workspace());
+    },
+
     /**
      * Connect to window-created signal
      * @param {function(Meta.Display, Meta.Window): void} callback
@@ -142,6 +346,60 @@ export const GnomeCompat = {
         global.display.disconnect(signalId);
     },
 
+    /**
+     * Connect to the monitor manager's monitors-changed signal
+     * (monitors added or removed, resolution or scale changed)
+     * @param {function(Meta.MonitorManager): void} callback
+     * @returns {number} Signal ID for disconnection
+     */
+    connectMonitorsChanged(callback) {
+        return global.backend.get_monitor_manager().connect('monitors-changed', callback);
+    },
+
+    /**
+     * Disconnect a monitor manager signal
+     * @param {number} signalId
+     */
+    disconnectMonitorsSignal(signalId) {
+        global.backend.get_monitor_manager().disconnect(signalId);
+    },
+
+    /**
+     * Connect to the display's workareas-changed signal (panels or docks
+     * shown, hidden or resized)
+     * @param {function(Meta.Display): void} callback
+     * @returns {number} Signal ID for disconnection
+     */
+    connectWorkAreasChanged(callback) {
+        return global.display.connect('workareas-changed', callback);
+    },
+
+    /**
+     * Connect to the workspace manager's active-workspace-changed signal
+     * @param {function(Meta.WorkspaceManager): void} callback
+     * @returns {number} Signal ID for disconnection
+     */
+    connectActiveWorkspaceChanged(callback) {
+        return global.workspace_manager.connect('active-workspace-changed', callback);
+    },
+
+    /**
+     * Connect to the workspace manager's workspace-removed signal
+     * @param {function(Meta.WorkspaceManager, number): void} callback - Receives the removed index
+     * @returns {number} Signal ID for disconnection
+     */
+    connectWorkspaceRemoved(callback) {
+        return global.workspace_manager.connect('workspace-removed', callback);
+    },
+
+    /**
+     * Disconnect a workspace manager signal
+     * @param {number} signalId
+     */
+    disconnectWorkspaceSignal(signalId) {
+        global.workspace_manager.disconnect(signalId);
+    },
+
     /**
      * Raise a window to the top of the stack
      * @param {Meta.Window} metaWindow
@@ -157,4 +415,95 @@ export const GnomeCompat = {
     activateWindow(metaWindow) {
         metaWindow.activate(global.get_current_time());
     },
+
+    /**
+     * Register a global shortcut stored in a settings key
+     * @param {string} name - Key of type 'as' holding the accelerators
+     * @param {Gio.Settings} settings
+     * @param {function(): void} handler
+     */
+    addKeybinding(name, settings, handler) {
+        Main.wm.addKeybinding(name, settings, Meta.KeyBindingFlags.NONE,
+            Shell.ActionMode.NORMAL, handler);
+    },
+
+    /**
+     * Unregister a global shortcut added by addKeybinding()
+     * @param {string} name
+     */
+    removeKeybinding(name) {
+        Main.wm.removeKeybinding(name);
+    },
+
+    /**
+     * Send all keyboard and pointer input to an actor (the shell's modal
+     * mode); global shortcuts keep working
+     * @param {Clutter.Actor} actor
+     * @returns {Clutter.Grab|null} null if the keyboard is grabbed by someone else
+     */
+    pushModal(actor) {
+        const grab = Main.pushModal(actor, { actionMode: Shell.ActionMode.NORMAL });
+        if ((grab.get_seat_state() & Clutter.GrabState.KEYBOARD) === 0) {
+            Main.popModal(grab);
+            return null;
+        }
+
+        actor.grab_key_focus();
+        return grab;
+    },
+
+    /**
+     * End a modal grab started by pushModal()
+     * @param {Clutter.Grab} grab
+     */
+    popModal(grab) {
+        Main.popModal(grab);
+    },
+
+    /**
+     * Add items at the end of every window menu (Alt+Space, or a right
+     * click on the title bar)
+     *
+     * Wraps the private WindowMenu._buildMenu, which other extensions may
+     * wrap too.
+     * @param {function(Meta.Window): MenuItem[]} getItems - Called each time a menu opens
+     * @returns {function(): void|null} Removes the items from menus opened
+     *     later, or null if this shell's window menu can't be extended
+     */
+    extendWindowMenu(getItems) {
+        const originalBuildMenu = WindowMenu.prototype._buildMenu;
+        if (typeof originalBuildMenu !== 'function') return null;
+
+        let removed = false;
+        const buildMenu = function (window) {
+            originalBuildMenu.call(this, window);
+            if (removed) return;
+
+            const items = getItems(window);
+            if (items.length === 0) return;
+
+            this.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+            for (const item of items) {
+                this.addAction(item.label, item.activate);
+            }
+        };
+        WindowMenu.prototype._buildMenu = buildMenu;
+
+        return () => {
+            removed = true;
+            // A wrapper added on top of ours stays in place, and ours
+            // then only passes through to the original
+            if (WindowMenu.prototype._buildMenu === buildMenu) {
+                WindowMenu.prototype._buildMenu = originalBuildMenu;
+            }
+        };
+    },
+
+    /**
+     * Get the monitor the pointer is on
+     * @returns {number}
+     */
+    getCurrentMonitor() {
+        return global.display.get_current_monitor();
+    },
 };
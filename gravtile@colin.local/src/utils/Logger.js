@@ -13,16 +13,25 @@ export class Logger {
     /** @type {string} */
     _prefix;
 
-    /** @type {boolean} */
-    _debugEnabled;
+    /** @type {import('../services/SettingsService.js').SettingsService|null} */
+    _settings;
 
     /**
      * @param {string} prefix - Prefix for all log messages
-     * @param {boolean} [debugEnabled=true] - Whether to show debug messages
+     * @param {import('../services/SettingsService.js').SettingsService|null} [settings=null] -
+     *   Source of the debug flag; debug messages are always shown without it
      */
-    constructor(prefix, debugEnabled = true) {
+    constructor(prefix, settings = null) {
         this._prefix = prefix;
-        this._debugEnabled = debugEnabled;
+        this._settings = settings;
+    }
+
+    /**
+     * Whether debug messages are currently shown
+     * @returns {boolean}
+     */
+    get debugEnabled() {
+        return this._settings?.debug ?? true;
     }
 
     /**
@@ -39,7 +48,7 @@ export class Logger {
      * @param {...any} args
      */
     debug(...args) {
-        if (!this._debugEnabled) return;
+        if (!this.debugEnabled) return;
         console.log(this._format('debug', args.join(' ')));
     }
 
@@ -70,6 +79,6 @@ export class Logger {
      * @returns {Logger}
      */
     child(childPrefix) {
-        return new Logger(`${this._prefix}:${childPrefix}`, this._debugEnabled);
+        return new Logger(`${this._prefix}:${childPrefix}`, this._settings);
     }
 }
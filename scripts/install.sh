@@ -17,6 +17,10 @@ elif [ -d "$EXTENSION_DIR/$EXTENSION_UUID" ]; then
     echo "Removed existing directory"
 fi
 
+# Compile the GSettings schema (the symlinked source has no compiled copy)
+glib-compile-schemas "$SOURCE_DIR/schemas"
+echo "Compiled GSettings schema"
+
 # Create symlink
 ln -s "$(realpath "$SOURCE_DIR")" "$EXTENSION_DIR/$EXTENSION_UUID"
 echo "Created symlink: $EXTENSION_DIR/$EXTENSION_UUID -> $(realpath "$SOURCE_DIR")"